@@ -0,0 +1,71 @@
+// Unit artwork (plain script, exposes window.Warscroll.artwork).
+// A picture of the model, stored with the warscroll (model.js `artwork`) and drawn into the artwork frame at the
+// top right of the content area (app/js/layout.js).
+//
+// - fromFile(file) -> Promise<artwork>: the image scaled down (MAX_SIDE, then smaller until the data: URL is
+//   at most MAX_CHARS long) so the warscroll still fits into localStorage next to the others. WebP keeps
+//   transparent backgrounds; browsers that can't write WebP get a JPEG on white.
+// - placeArtwork(artwork, box) -> { x, y, w, h } of the whole image; it is drawn clipped to box. At zoom 1 the
+//   image covers the box and the part sticking out is cropped; x / y choose which part (or, zoomed out below
+//   the box size, where it sits in the box).
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+  const { createArtwork } = ns.model;
+
+  const MAX_SIDE = 800; // px
+  const MAX_CHARS = 150 * 1024; // of the data: URL
+  const QUALITY = 0.85;
+  const SHRINK = 0.8; // per attempt while the image is too large
+
+  function loadFile(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`Not an image: ${file.name}`));
+      };
+      img.src = url;
+    });
+  }
+
+  function encode(img, width, height) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(img, 0, 0, width, height);
+    const webp = canvas.toDataURL("image/webp", QUALITY);
+    if (webp.startsWith("data:image/webp")) return webp;
+    ctx.globalCompositeOperation = "destination-over";
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+    return canvas.toDataURL("image/jpeg", QUALITY);
+  }
+
+  async function fromFile(file) {
+    const img = await loadFile(file);
+    let ratio = Math.min(1, MAX_SIDE / Math.max(img.naturalWidth, img.naturalHeight));
+    for (;;) {
+      const width = Math.max(1, Math.round(img.naturalWidth * ratio));
+      const height = Math.max(1, Math.round(img.naturalHeight * ratio));
+      const image = encode(img, width, height);
+      if (image.length <= MAX_CHARS || Math.max(width, height) <= 64) return createArtwork(image, width, height);
+      ratio *= SHRINK;
+    }
+  }
+
+  function placeArtwork(artwork, box) {
+    const scale = Math.max(box.w / artwork.width, box.h / artwork.height) * artwork.zoom;
+    const w = artwork.width * scale;
+    const h = artwork.height * scale;
+    return { x: box.x - (w - box.w) * artwork.x, y: box.y - (h - box.h) * artwork.y, w, h };
+  }
+
+  ns.artwork = { MAX_SIDE, MAX_CHARS, fromFile, placeArtwork };
+})();
@@ -0,0 +1,102 @@
+// Characteristic values (plain script, exposes window.Warscroll.characteristics).
+// One parser and formatter for the core stats (move, health, save, control) and the weapon profiles
+// (range, attacks, hit, wound, rend, damage), shared by the editor, the layout and the file format.
+//
+// Stored values:
+// - "" not set
+// - a number: 6 or 5.5 for inches, 4 for a 4+ roll, 1 for rend -1, 2 for two attacks
+// - a dice expression "D3", "D6+1", "2D6" where the characteristic rolls dice (attacks, damage)
+// - "*" variable (see the damage table) or "-" (no save, no rend, ...) where RULES allow it
+//
+// parse(key, text) -> { value, error }: value is the stored form of what was typed ("4+" -> 4, "d6 + 1" -> "D6+1");
+// error is null or { code, params } with code "invalid" (params.examples), "range" (min, max) or "step" (step).
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  // kind: inches (6", half inch steps), roll (4+) or count (plain integer); dice: accepts D3/D6 expressions;
+  // negative: a leading minus is part of the notation ("-1" rend); special: accepted symbols
+  const RULES = {
+    move: { kind: "inches", special: ["*", "-"] },
+    health: { kind: "count", special: ["*"] },
+    save: { kind: "roll", special: ["*", "-"] },
+    control: { kind: "count", special: ["*", "-"] },
+    range: { kind: "inches", special: ["*"] },
+    attacks: { kind: "count", dice: true, special: ["*"] },
+    hit: { kind: "roll", special: ["*", "-"] },
+    wound: { kind: "roll", special: ["*", "-"] },
+    rend: { kind: "count", negative: true, special: ["*", "-"] },
+    damage: { kind: "count", dice: true, special: ["*"] },
+  };
+
+  const INCH_STEP = 0.5;
+  const DICE_SIDES = [3, 6];
+
+  // { count, sides, modifier } of "D6", "2D6", "D3+1" ("W6" as written in German); null if text is no dice expression
+  function parseDice(text) {
+    const m = /^(\d*)\s*[DW](\d+)\s*(?:([+-])\s*(\d+))?$/i.exec(String(text).trim());
+    if (!m) return null;
+    const count = m[1] === "" ? 1 : Number(m[1]);
+    const sides = Number(m[2]);
+    if (count < 1 || !DICE_SIDES.includes(sides)) return null;
+    const modifier = m[3] ? Number(m[4]) * (m[3] === "-" ? -1 : 1) : 0;
+    return { count, sides, modifier };
+  }
+
+  function formatDice({ count, sides, modifier }) {
+    const mod = modifier > 0 ? `+${modifier}` : modifier < 0 ? String(modifier) : "";
+    return `${count > 1 ? count : ""}D${sides}${mod}`;
+  }
+
+  // sample values for the "invalid" message, e.g. '6", 5.5", *, -'
+  function examples(rule) {
+    const samples = { inches: ['6"', '5.5"'], roll: ["4+"], count: ["2"] }[rule.kind].slice();
+    if (rule.dice) samples.push("D6", "D3+1", "2D6");
+    return samples.concat(rule.special).join(", ");
+  }
+
+  function parse(key, text) {
+    const rule = RULES[key];
+    const ok = (value) => ({ value, error: null });
+    const fail = (code, params) => ({ value: null, error: { code, params } });
+    const raw = text == null ? "" : String(text).trim();
+    if (!raw) return ok("");
+    if (rule.special.includes(raw)) return ok(raw);
+    if (rule.dice) {
+      const dice = parseDice(raw);
+      if (dice) return ok(formatDice(dice));
+    }
+    let number = raw.replace(",", ".");
+    if (rule.kind === "inches") number = number.replace(/\s*["”″]$/, "");
+    if (rule.kind === "roll") number = number.replace(/\s*\+$/, "");
+    if (rule.negative) number = number.replace(/^-\s*/, "");
+    if (!/^\d+(\.\d+)?$/.test(number)) return fail("invalid", { examples: examples(rule) });
+    const n = Number(number);
+    const step = rule.kind === "inches" ? INCH_STEP : 1;
+    if (Math.round(n / step) * step !== n) return fail("step", { step });
+    if (rule.kind === "roll" && (n < 1 || n > 6)) return fail("range", { min: "1+", max: "6+" });
+    return ok(n);
+  }
+
+  // validate a stored value (file import); returns null or an error like parse()
+  function check(key, value) {
+    if (typeof value !== "number" && typeof value !== "string") return { code: "type", params: { expected: "number or string" } };
+    if (typeof value === "number" && !Number.isFinite(value)) return { code: "type", params: { expected: "number" } };
+    return parse(key, value).error;
+  }
+
+  // display text: 6", 4+, 1, D6+1, *, - ; rend 0 is shown as "-" and unreadable values as they are
+  function format(key, value) {
+    if (value == null || value === "") return "";
+    const { value: v, error } = parse(key, value);
+    if (error) return String(value);
+    if (typeof v === "string") return v;
+    const kind = RULES[key].kind;
+    if (kind === "inches") return `${v}"`;
+    if (kind === "roll") return `${v}+`;
+    if (key === "rend" && v === 0) return "-";
+    return String(v);
+  }
+
+  ns.characteristics = { RULES, parse, check, format, parseDice, formatDice };
+})();
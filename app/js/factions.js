@@ -0,0 +1,57 @@
+// Faction registry (plain script, exposes window.Warscroll.factions).
+// Warscrolls store a faction by its stable id. Names shown in the UI come from the translation files
+// ("factions": { id: name }) and fall back to the English name given here.
+//
+// - alliance: grand alliance id, see ALLIANCES
+// - colour: accent colour picked up by the layout (weapon table headers)
+// - emblem: image URL drawn at the right end of the header band; data/img/emblems/<id>.svg unless set
+// - background: optional sheet background URL replacing the default /data/img/warscroll.jpg
+// - aliases: names the faction was stored under before ids existed (old files and library entries)
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const ALLIANCES = ["order", "chaos", "death", "destruction"];
+  const EMBLEM_PATH = "/data/img/emblems";
+
+  const FACTIONS = [
+    { id: "citiesOfSigmar", name: "Cities of Sigmar", alliance: "order", colour: "#1f4e8c" },
+    { id: "daughtersOfKhaine", name: "Daughters of Khaine", alliance: "order", colour: "#7a1020" },
+    { id: "fyreslayers", name: "Fyreslayers", alliance: "order", colour: "#b5501a" },
+    { id: "idonethDeepkin", name: "Idoneth Deepkin", alliance: "order", colour: "#1c6b73" },
+    { id: "kharadronOverlords", name: "Kharadron Overlords", alliance: "order", colour: "#7d6233", aliases: ["Himmelsherrscher der Kharadron"] },
+    { id: "luminethRealmLords", name: "Lumineth Realm-lords", alliance: "order", colour: "#4f7396" },
+    { id: "seraphon", name: "Seraphon", alliance: "order", colour: "#2f7f5f" },
+    { id: "stormcastEternals", name: "Stormcast Eternals", alliance: "order", colour: "#9c7a22", aliases: ["Sturmgeschmiedete Ewige"] },
+    { id: "sylvaneth", name: "Sylvaneth", alliance: "order", colour: "#4f6b2a" },
+    { id: "bladesOfKhorne", name: "Blades of Khorne", alliance: "chaos", colour: "#8b0000" },
+    { id: "disciplesOfTzeentch", name: "Disciples of Tzeentch", alliance: "chaos", colour: "#2a5bb5" },
+    { id: "hedonitesOfSlaanesh", name: "Hedonites of Slaanesh", alliance: "chaos", colour: "#7e3480" },
+    { id: "helsmithsOfHashut", name: "Helsmiths of Hashut", alliance: "chaos", colour: "#7a3b1a" },
+    { id: "maggotkinOfNurgle", name: "Maggotkin of Nurgle", alliance: "chaos", colour: "#5e6b24" },
+    { id: "skaven", name: "Skaven", alliance: "chaos", colour: "#5a4632" },
+    { id: "slavesToDarkness", name: "Slaves to Darkness", alliance: "chaos", colour: "#3b3b3b" },
+    { id: "fleshEaterCourts", name: "Flesh-eater Courts", alliance: "death", colour: "#6e2a2a" },
+    { id: "nighthaunt", name: "Nighthaunt", alliance: "death", colour: "#2f7373" },
+    { id: "ossiarchBonereapers", name: "Ossiarch Bonereapers", alliance: "death", colour: "#6f6148" },
+    { id: "soulblightGravelords", name: "Soulblight Gravelords", alliance: "death", colour: "#4a1f3d" },
+    { id: "gloomspiteGitz", name: "Gloomspite Gitz", alliance: "destruction", colour: "#55702a" },
+    { id: "ogorMawtribes", name: "Ogor Mawtribes", alliance: "destruction", colour: "#7a4a2a" },
+    { id: "orrukWarclans", name: "Orruk Warclans", alliance: "destruction", colour: "#3e6b2a", aliases: ["Orruks"] },
+    { id: "sonsOfBehemat", name: "Sons of Behemat", alliance: "destruction", colour: "#6b5a3a" },
+  ].map((f) => ({ emblem: `${EMBLEM_PATH}/${f.id}.svg`, ...f }));
+
+  function get(id) {
+    return FACTIONS.find((f) => f.id === id) || null;
+  }
+
+  // id for a faction name as stored before ids existed (English name or alias, case-insensitive); null if unknown
+  function idFromName(name) {
+    const key = String(name || "").trim().toLowerCase();
+    if (!key) return null;
+    const found = FACTIONS.find((f) => f.id.toLowerCase() === key || f.name.toLowerCase() === key || (f.aliases || []).some((a) => a.toLowerCase() === key));
+    return found ? found.id : null;
+  }
+
+  ns.factions = { ALLIANCES, FACTIONS, get, idFromName };
+})();
@@ -0,0 +1,60 @@
+// Edit history (plain script, exposes window.Warscroll.history).
+// createHistory() keeps snapshots of the open warscroll (JSON strings, see historyState() in warscroll.js)
+// for undo / redo:
+//
+// - reset(state) starts over with state as the only entry (another warscroll was opened)
+// - record(state, group) adds state after an edit; unchanged states are ignored. Edits of the same group
+//   (e.g. one input field) less than `coalesce` ms apart replace the last entry, so a typing burst is one step
+// - undo() / redo() return the state to show, or null when there is nothing to undo / redo
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  function createHistory({ limit = 100, coalesce = 1000 } = {}) {
+    let entries = [];
+    let index = -1;
+    let lastGroup = null;
+    let lastTime = 0;
+
+    function reset(state) {
+      entries = [state];
+      index = 0;
+      lastGroup = null;
+    }
+
+    function record(state, group = null, now = Date.now()) {
+      if (state === entries[index]) return false;
+      const merge = group !== null && group === lastGroup && now - lastTime < coalesce && index > 0;
+      entries = entries.slice(0, merge ? index : index + 1);
+      entries.push(state);
+      if (entries.length > limit) entries.shift();
+      index = entries.length - 1;
+      lastGroup = group;
+      lastTime = now;
+      return true;
+    }
+
+    function undo() {
+      if (index <= 0) return null;
+      lastGroup = null;
+      return entries[--index];
+    }
+
+    function redo() {
+      if (index >= entries.length - 1) return null;
+      lastGroup = null;
+      return entries[++index];
+    }
+
+    return {
+      reset,
+      record,
+      undo,
+      redo,
+      canUndo: () => index > 0,
+      canRedo: () => index < entries.length - 1,
+    };
+  }
+
+  ns.history = { createHistory };
+})();
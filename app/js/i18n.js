@@ -0,0 +1,153 @@
+// Translations (plain script, exposes window.Warscroll.i18n).
+// Every language is one JSON file in app/js/localization named by its code (de.json, en.json, fr.json, ...);
+// its "language" entry names it in the switcher: { "name": "Français", "flag": "🇫🇷" }. Adding a language is
+// dropping in such a file and adding its code to the folder's manifest, languages.json (["de", "en", "fr"]).
+// Without a manifest the files are found in the directory listing of the folder (development servers), and
+// without either FALLBACK_LANGUAGES are loaded.
+//
+// - t("unit.name", params) looks a nested key up in the current language, then in its base language ("de" for
+//   "de-AT"), then in DEFAULT_LANGUAGE; a key missing everywhere is returned as it is
+// - {placeholder}s are filled from params: t("library.deleteConfirm", { name })
+// - plurals: a value { "one": "...", "other": "..." } (Intl.PluralRules categories, "zero" for exactly 0)
+//   is chosen by params.count
+// - get("timings") returns a whole section (object or list); objects are merged over the fallback languages.
+//   get("timings", "de") reads another language than the current one
+// - all("roster.keywords.hero") returns the value of a key in every loaded language (["HELD", "HERO"])
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const DEFAULT_LANGUAGE = "en";
+  const FALLBACK_LANGUAGES = ["de", "en"];
+  const MANIFEST = "languages.json";
+  const CODE = /^[a-z]{2,3}(-[A-Za-z0-9]+)?$/;
+
+  const dictionaries = {}; // code -> parsed JSON file
+  let current = DEFAULT_LANGUAGE;
+
+  const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+  const baseOf = (code) => String(code).split("-")[0];
+
+  // language codes listed in the folder's manifest, else those of the JSON files in its directory listing
+  async function discover(path) {
+    try {
+      const r = await fetch(`${path}/${MANIFEST}`, { cache: "no-cache" });
+      if (!r.ok) throw new Error(`status ${r.status}`);
+      const codes = (await r.json()).filter((c) => CODE.test(c));
+      if (codes.length) return [...new Set(codes)];
+    } catch (e) {
+      console.info("No language manifest, reading the directory listing", e.message);
+    }
+    try {
+      const r = await fetch(`${path}/`, { cache: "no-cache" });
+      if (!r.ok) throw new Error(`status ${r.status}`);
+      const listing = await r.text();
+      const codes = [...listing.matchAll(/href="(?:[^"]*\/)?([^"/]+)\.json"/g)].map((m) => m[1]).filter((c) => CODE.test(c));
+      if (codes.length) return [...new Set(codes)];
+    } catch (e) {
+      console.info("No language listing, loading the bundled languages", e.message);
+    }
+    return FALLBACK_LANGUAGES;
+  }
+
+  // load every language file in path; returns the languages that loaded (see languages())
+  async function load(path) {
+    const codes = await discover(path);
+    await Promise.all(
+      codes.map(async (code) => {
+        try {
+          const r = await fetch(`${path}/${code}.json`, { cache: "no-cache" });
+          if (!r.ok) throw new Error(`status ${r.status}`);
+          dictionaries[code] = await r.json();
+        } catch (e) {
+          console.warn("Could not load", code, e);
+        }
+      })
+    );
+    if (!dictionaries[current]) current = Object.keys(dictionaries)[0] || DEFAULT_LANGUAGE;
+    return languages();
+  }
+
+  // [{ code, name, flag }] of the loaded languages, sorted by code
+  function languages() {
+    return Object.keys(dictionaries)
+      .sort()
+      .map((code) => {
+        const meta = dictionaries[code].language || {};
+        return { code, name: meta.name || code, flag: meta.flag || code.toUpperCase() };
+      });
+  }
+
+  const has = (code) => Object.prototype.hasOwnProperty.call(dictionaries, code);
+
+  // the first loaded language of codes (exactly or by base language), else DEFAULT_LANGUAGE
+  function match(codes) {
+    for (const code of codes.filter(Boolean)) {
+      if (has(code)) return code;
+      if (has(baseOf(code))) return baseOf(code);
+    }
+    return has(DEFAULT_LANGUAGE) ? DEFAULT_LANGUAGE : Object.keys(dictionaries)[0] || DEFAULT_LANGUAGE;
+  }
+
+  function setLanguage(code) {
+    current = has(code) ? code : match([code]);
+    return current;
+  }
+
+  const language = () => current;
+
+  // languages a key is looked up in, most specific first
+  function chain(code = current) {
+    return [...new Set([code, baseOf(code), DEFAULT_LANGUAGE])].filter(has);
+  }
+
+  function lookup(dict, key) {
+    return key.split(".").reduce((o, part) => (isObject(o) && part in o ? o[part] : undefined), dict);
+  }
+
+  function format(template, params = {}) {
+    return String(template).replace(/\{(\w+)\}/g, (m, key) => (params[key] !== undefined && params[key] !== null ? String(params[key]) : m));
+  }
+
+  const isPlural = (v) => isObject(v) && typeof v.other === "string";
+
+  function pluralForm(forms, count, code) {
+    if (count === 0 && typeof forms.zero === "string") return forms.zero;
+    const category = Number.isFinite(count) ? new Intl.PluralRules(code).select(count) : "other";
+    return typeof forms[category] === "string" ? forms[category] : forms.other;
+  }
+
+  function t(key, params = {}) {
+    for (const code of chain()) {
+      const value = lookup(dictionaries[code], key);
+      if (typeof value === "string") return format(value, params);
+      if (isPlural(value)) return format(pluralForm(value, Number(params.count), code), params);
+    }
+    return key;
+  }
+
+  function merge(base, over) {
+    if (!isObject(base) || !isObject(over)) return over;
+    const out = { ...base };
+    Object.keys(over).forEach((k) => (out[k] = merge(base[k], over[k])));
+    return out;
+  }
+
+  function get(key, code = current) {
+    const found = chain(code)
+      .map((code) => lookup(dictionaries[code], key))
+      .filter((v) => v !== undefined);
+    if (!found.length) return undefined;
+    if (!isObject(found[0])) return found[0];
+    return found.filter(isObject).reduceRight((out, v) => merge(out, v), {});
+  }
+
+  function all(key) {
+    return Object.keys(dictionaries)
+      .sort()
+      .map((code) => lookup(dictionaries[code], key))
+      .filter((v) => v !== undefined);
+  }
+
+  ns.i18n = { DEFAULT_LANGUAGE, load, languages, has, match, setLanguage, language, t, get, all, format };
+})();
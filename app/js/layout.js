@@ -0,0 +1,478 @@
+// Warscroll layout engine (plain script, exposes window.Warscroll.layout).
+// computeLayout() positions every box and glyph of a warscroll once, in sheet pixels, and returns a
+// display list that the SVG renderer (preview) and the canvas renderer (export) both draw as-is
+// (see app/js/render.js). Text is measured and broken here (app/js/text.js), so both renderers break lines
+// identically. Weapons, damage table and abilities shrink together until they fit the content area (down to
+// MIN_TEXT_SCALE of the body size); the result tells how far (textScale) and whether it still overflows.
+//
+// Display list items:
+// - { type: "rect", x, y, w, h, fill, stroke, lineWidth }
+// - { type: "circle", cx, cy, r, fill, stroke, lineWidth }
+// - { type: "text", x, y, text, font, fill, align: "left" | "center" | "right", baseline: "alphabetic" | "middle", shadow }
+// - { type: "arcText", cx, cy, r, angle, span, reverse, text, font, fill } - text centred on an arc (degrees,
+//   0 = right, clockwise); reverse runs counter-clockwise so labels at the bottom read upright
+// - { type: "image", src, x, y, w, h, clip } - image by URL; the canvas renderer needs it preloaded (options.images).
+//   clip: optional { x, y, w, h } the image is cut to (unit artwork)
+// font: { size, family, weight, style }
+//
+// computeLayout() -> { width, height, items, textScale, overflow: [region] } where region is "content" or
+// "keywords" for every region whose text does not fit even at the smallest size
+//
+// Fonts, colours and the body text size come from options.style (DEFAULT_STYLE matches the shipped background).
+// A style with panels draws the sheet itself - background, header band, stat circle and keywords strip - for
+// layouts without a background image (app/js/layouts.js). A frame with an abilities region puts the abilities
+// there and keeps the weapon and damage tables in the content area (side by side on landscape sheets).
+//
+// Unit artwork (data.artwork, app/js/artwork.js) fills a frame at the top right of the content area, or of the
+// abilities region if the frame has one (ARTWORK_BOX); weapon tables and abilities that start beside it are
+// narrowed to the space on its left.
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+  const { WEAPON_FIELDS, ABILITY_TIMINGS, variableCharacteristics } = ns.model;
+  const { format: formatCharacteristic } = ns.characteristics;
+  const { measure, fitText, shrinkFont, layoutLines } = ns.text;
+  const { placeArtwork } = ns.artwork;
+
+  // Regions of the default background (/data/img/warscroll.jpg) as fractions of the sheet.
+  // circle.r is a fraction of the smaller sheet side; keywords.label is the width of the gold label box.
+  const DEFAULT_FRAME = {
+    circle: { cx: 0.157, cy: 0.105, r: 0.12 },
+    header: { x: 0.225, y: 0.04, w: 0.75, h: 0.127 },
+    content: { x: 0.06, y: 0.19, w: 0.88, h: 0.72 },
+    keywords: { x: 0.028, y: 0.918, w: 0.937, h: 0.058, label: 0.146 },
+  };
+
+  // Banner colours per phase (same palette as the phase headers in style.css)
+  const PHASE_COLOURS = {
+    passive: "#5b5b5b",
+    start: "#000000",
+    hero: "#9f821d",
+    movement: "#838383",
+    shooting: "#004d65",
+    charge: "#c86519",
+    combat: "#860e16",
+    end: "#552b79",
+    reaction: "#2e5e4e",
+  };
+
+  // Stat circle: quarter label key, stat key and centre angle of each quarter
+  const QUARTERS = [
+    { label: "right", stat: "save", angle: 0 },
+    { label: "bottom", stat: "control", angle: 90, reverse: true },
+    { label: "left", stat: "health", angle: 180 },
+    { label: "top", stat: "move", angle: 270 },
+  ];
+
+  // Fonts shipped in data/fonts (SIL Open Font License). Loaded before the preview is drawn and embedded
+  // into SVG exports; the generic family after each name is used until (or if) a file fails to load.
+  const FONT_FACES = [
+    { family: "Cinzel", weight: "bold", style: "normal", url: "/data/fonts/cinzel-latin-700-normal.woff2" },
+    { family: "Open Sans", weight: "normal", style: "normal", url: "/data/fonts/open-sans-latin-400-normal.woff2" },
+    { family: "Open Sans", weight: "normal", style: "italic", url: "/data/fonts/open-sans-latin-400-italic.woff2" },
+    { family: "Open Sans", weight: "bold", style: "normal", url: "/data/fonts/open-sans-latin-700-normal.woff2" },
+  ];
+  const TABLE_COLOUR = "#2b2b2b"; // weapon table header without a faction accent
+  const SANS = '"Open Sans", sans-serif';
+  const SERIF = "Cinzel, serif";
+
+  // Fonts and colours drawn onto the default background. bodySize is a fraction of the sheet width.
+  // panels: { sheet, border, header, circle, keywords, keywordsLabel } fill colours of the shapes drawn
+  // under the text ("accent" for the faction colour); null draws none
+  const DEFAULT_STYLE = {
+    fonts: { title: SERIF, body: SANS },
+    colours: {
+      header: "#ffffff", // name, subtitle and meta line
+      stats: "#ffffff", // quarter labels and values in the stat circle
+      tableHead: "#ffffff", // column headings and ability banners
+      name: "#111111", // ability names
+      text: "#222222",
+      keywordsLabel: "#ffffff",
+      keywords: "#222222",
+    },
+    bodySize: 0.02,
+    panels: null,
+  };
+
+  const MIN_TEXT_SCALE = 0.65; // smallest body text, as a fraction of the normal size
+  const MIN_BODY_SIZE = 9; // px
+  const MIN_TITLE_SCALE = 0.7; // long unit names shrink this far before they are shortened
+  const ARTWORK_BOX = { w: 0.36, h: 0.3 }; // artwork frame, as fractions of the content area
+
+  function abilityColour(timingId) {
+    const timing = ABILITY_TIMINGS.find((t) => t.id === timingId) || ABILITY_TIMINGS[0];
+    return PHASE_COLOURS[timing.phase];
+  }
+
+  // banner text, e.g. "Once Per Battle, Your Hero Phase"; labels: { timings, usages }
+  function abilityTimingText(ability, labels) {
+    const timings = labels.timings || {};
+    const usages = labels.usages || {};
+    const timing = timings[ability.timing] || ability.timing || "";
+    return ability.usage && usages[ability.usage] ? `${usages[ability.usage]}, ${timing}` : timing;
+  }
+
+  // header line below the name, e.g. "Stormcast Eternals · 5 models · 40mm · 120 pts"
+  function unitMetaText(unit, faction, labels) {
+    const parts = [];
+    if (faction) parts.push(faction);
+    if (unit.modelCount !== "" && unit.modelCount != null) parts.push(`${unit.modelCount} ${labels.models || ""}`.trim());
+    if (unit.baseSize) parts.push(unit.baseSize);
+    if (unit.points !== "" && unit.points != null) parts.push(`${unit.points} ${labels.pointsShort || ""}`.trim());
+    return parts.join(" · ");
+  }
+
+  // --- text ---
+
+  // wrap a list of items (never broken inside an item) into lines of at most maxWidth
+  function wrapItems(items, separator, font, maxWidth) {
+    const lines = [];
+    let line = "";
+    items.forEach((item) => {
+      const test = line ? line + separator + item : item;
+      if (line && measure(test, font) > maxWidth) {
+        lines.push(line + separator.trimEnd());
+        line = item;
+      } else {
+        line = test;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  // --- layout ---
+
+  // a style with every font and colour set; missing ones are taken from DEFAULT_STYLE
+  function normalizeStyle(style) {
+    const s = style || {};
+    return {
+      ...DEFAULT_STYLE,
+      ...s,
+      fonts: { ...DEFAULT_STYLE.fonts, ...(s.fonts || {}) },
+      colours: { ...DEFAULT_STYLE.colours, ...(s.colours || {}) },
+    };
+  }
+
+  // data: warscroll (model.js); its language picks the hyphenation. options: { width, height, frame, style,
+  // title, faction (display name), accent (colour), emblem (image URL),
+  // labels: { quarters, unit, weapons, abilities, keywords, damageTable } }
+  function computeLayout(data, options) {
+    const { width, height } = options;
+    const frame = options.frame || DEFAULT_FRAME;
+    const style = normalizeStyle(options.style);
+    const accent = options.accent || TABLE_COLOUR;
+    const labels = options.labels || {};
+    const items = [];
+    const box = (r) => ({ x: width * r.x, y: height * r.y, w: width * r.w, h: height * r.h });
+
+    const circle = { cx: width * frame.circle.cx, cy: height * frame.circle.cy, r: Math.min(width, height) * frame.circle.r };
+    const header = box(frame.header);
+    const kw = box(frame.keywords);
+    kw.labelW = width * frame.keywords.label;
+    if (style.panels) layoutPanels(items, style.panels, accent, { width, height, circle, header, keywords: kw });
+
+    layoutStatCircle(items, data.stats || {}, labels.quarters || {}, circle, style);
+    layoutHeader(items, data.unit || {}, options.title || "", options.faction || "", labels.unit || {}, header, options.emblem, style);
+
+    const regions = { content: box(frame.content), abilities: frame.abilities ? box(frame.abilities) : null };
+    const aside = data.artwork ? layoutArtwork(items, data.artwork, regions.abilities || regions.content, accent) : null;
+    const bodySize = Math.max(12, Math.round(width * style.bodySize));
+    const minSize = Math.min(bodySize, Math.max(MIN_BODY_SIZE, Math.round(bodySize * MIN_TEXT_SCALE)));
+    let body;
+    for (let size = bodySize; ; size--) {
+      body = layoutContent(data, labels, regions, size, style, accent, aside);
+      if (body.fits || size <= minSize) break;
+    }
+    items.push(...body.items);
+    const overflow = body.fits ? [] : ["content"];
+
+    if (!layoutKeywordsBar(items, data.keywords || {}, labels.keywords || {}, kw, style)) overflow.push("keywords");
+
+    return { width, height, items, textScale: body.size / bodySize, overflow };
+  }
+
+  // the shapes a layout without background image draws under everything else; colours: style.panels
+  function layoutPanels(items, panels, accent, boxes) {
+    const colour = (c) => (c === "accent" ? accent : c);
+    const { width, height, circle, header, keywords } = boxes;
+    if (panels.sheet) items.push({ type: "rect", x: 0, y: 0, w: width, h: height, fill: colour(panels.sheet) });
+    if (panels.border) {
+      const inset = Math.round(Math.min(width, height) * 0.012);
+      items.push({ type: "rect", x: inset, y: inset, w: width - inset * 2, h: height - inset * 2, stroke: colour(panels.border), lineWidth: Math.max(2, inset / 2) });
+    }
+    if (panels.header) items.push({ type: "rect", ...header, fill: colour(panels.header) });
+    if (panels.keywords) items.push({ type: "rect", x: keywords.x, y: keywords.y, w: keywords.w, h: keywords.h, fill: colour(panels.keywords) });
+    if (panels.keywordsLabel) items.push({ type: "rect", x: keywords.x, y: keywords.y, w: keywords.labelW, h: keywords.h, fill: colour(panels.keywordsLabel) });
+    if (panels.circle) {
+      const ring = Math.max(2, Math.round(circle.r * 0.06));
+      items.push({ type: "circle", ...circle, fill: colour(panels.circle), stroke: accent, lineWidth: ring });
+    }
+  }
+
+  // the artwork clipped to its frame at the top right of the region; returns the frame
+  function layoutArtwork(items, artwork, content, accent) {
+    const frame = { w: content.w * ARTWORK_BOX.w, h: content.h * ARTWORK_BOX.h, y: content.y };
+    frame.x = content.x + content.w - frame.w;
+    items.push({ type: "image", src: artwork.image, ...placeArtwork(artwork, frame), clip: frame });
+    items.push({ type: "rect", ...frame, stroke: accent, lineWidth: 1 });
+    return frame;
+  }
+
+  // weapon tables, damage table and abilities from the top of the content area at one body font size;
+  // the abilities go into regions.abilities if the frame has one. aside: the artwork frame, if any.
+  // Returns { items, fits, size }
+  function layoutContent(data, labels, regions, size, style, accent, aside) {
+    const items = [];
+    const { content } = regions;
+    let y = content.y;
+    const gap = Math.round(size * 0.75);
+    // width of a block starting at y in region: up to the artwork if it sits beside it
+    const width = (region) => {
+      const beside = aside && y < aside.y + aside.h && aside.x < region.x + region.w && aside.x + aside.w > region.x;
+      return beside ? aside.x - gap - region.x : region.w;
+    };
+    ["ranged", "melee"].forEach((kind) => {
+      const rows = (data.weapons && data.weapons[kind]) || [];
+      y = layoutWeaponTable(items, kind, rows, labels.weapons || {}, content.x, y, width(content), size, style, accent);
+    });
+    y = layoutDamageTable(items, data, labels, content.x, y, width(content), size, style, accent);
+    let fits = y <= content.y + content.h;
+    const region = regions.abilities || content;
+    if (regions.abilities) y = region.y;
+    (data.abilities || []).forEach((ability) => {
+      y = layoutAbilityBlock(items, ability, labels.abilities || {}, region.x, y, width(region), size, style, data.language);
+    });
+    fits = fits && y <= region.y + region.h;
+    return { items, fits, size };
+  }
+
+  // curved quarter labels near the rim and the formatted stat in each quarter
+  function layoutStatCircle(items, stats, quarters, circle, style) {
+    const labelFont = { size: Math.max(10, Math.round(circle.r * 0.15)), weight: "bold", family: style.fonts.body };
+    const numberFont = { size: Math.max(12, Math.round(circle.r * 0.3)), weight: "bold", family: style.fonts.body };
+    const textRadius = Math.max(12, circle.r * 0.7);
+    const numberRadius = Math.max(8, circle.r * 0.4);
+    QUARTERS.forEach((q) => {
+      const label = quarters[q.label];
+      if (label) {
+        items.push({ type: "arcText", cx: circle.cx, cy: circle.cy, r: textRadius, angle: q.angle, span: 90, reverse: !!q.reverse, text: String(label), font: labelFont, fill: style.colours.stats });
+      }
+      const value = formatCharacteristic(q.stat, stats[q.stat]);
+      if (value) {
+        const rad = (q.angle * Math.PI) / 180;
+        items.push({
+          type: "text",
+          x: circle.cx + numberRadius * Math.cos(rad),
+          y: circle.cy + numberRadius * Math.sin(rad),
+          text: value,
+          font: numberFont,
+          fill: style.colours.stats,
+          align: "center",
+          baseline: "middle",
+          shadow: true,
+        });
+      }
+    });
+  }
+
+  // header band: unit name, subtitle and meta line, vertically centred; the faction emblem sits at the right end
+  function layoutHeader(items, unit, title, faction, labels, header, emblem, style) {
+    const pad = Math.round(header.w * 0.04);
+    let textWidth = header.w - pad * 2;
+    if (emblem) {
+      const size = header.h * 0.8;
+      items.push({ type: "image", src: emblem, x: header.x + header.w - pad - size, y: header.y + (header.h - size) / 2, w: size, h: size });
+      textWidth -= size + pad;
+    }
+    const titleSize = Math.max(18, Math.round(header.h * 0.28));
+    const titleFont = shrinkFont(title, { size: titleSize, weight: "bold", family: style.fonts.title }, textWidth, Math.round(titleSize * MIN_TITLE_SCALE));
+    const smallSize = Math.max(11, Math.round(header.h * 0.14));
+    const meta = unitMetaText(unit, faction, labels);
+    const lines = [
+      title ? { text: title, font: titleFont } : null,
+      unit.subtitle ? { text: unit.subtitle, font: { size: smallSize, style: "italic", family: style.fonts.body } } : null,
+      meta ? { text: meta, font: { size: smallSize, family: style.fonts.body } } : null,
+    ].filter(Boolean);
+    const total = lines.reduce((sum, l) => sum + l.font.size * 1.25, 0);
+    let y = header.y + (header.h - total) / 2;
+    lines.forEach((l) => {
+      items.push({
+        type: "text",
+        x: header.x + pad,
+        y: y + l.font.size * 0.95,
+        text: fitText(l.text, l.font, textWidth),
+        font: l.font,
+        fill: style.colours.header,
+        align: "left",
+        baseline: "alphabetic",
+      });
+      y += l.font.size * 1.25;
+    });
+  }
+
+  // one weapon table (header band + one row per weapon) at y; returns the y below the table
+  // accent: faction colour of the header band and the frame
+  function layoutWeaponTable(items, kind, rows, labels, x, y, tableWidth, fontSize, style, accent) {
+    if (!rows.length) return y;
+    const fields = WEAPON_FIELDS[kind];
+    const rowHeight = Math.round(fontSize * 1.7);
+    const nameWidth = tableWidth * 0.3;
+    const abilityWidth = tableWidth * 0.22;
+    const statWidth = (tableWidth - nameWidth - abilityWidth) / fields.length;
+    const abilityX = x + nameWidth + statWidth * fields.length;
+    const headFont = { size: fontSize, weight: "bold", family: style.fonts.body };
+    const cellFont = { size: fontSize, family: style.fonts.body };
+    const top = y;
+    const cell = (text, cx, cy, font, fill, align) => items.push({ type: "text", x: cx, y: cy + rowHeight / 2, text, font, fill, align, baseline: "middle" });
+
+    items.push({ type: "rect", x, y, w: tableWidth, h: rowHeight, fill: accent });
+    cell(fitText(labels[kind] || kind, headFont, nameWidth - 8), x + 6, y, headFont, style.colours.tableHead, "left");
+    fields.forEach((f, i) => cell(labels[f] || f, x + nameWidth + statWidth * (i + 0.5), y, headFont, style.colours.tableHead, "center"));
+    cell(fitText(labels.abilities || "", headFont, abilityWidth - 8), abilityX + 4, y, headFont, style.colours.tableHead, "left");
+    y += rowHeight;
+
+    rows.forEach((w, idx) => {
+      if (idx % 2 === 1) items.push({ type: "rect", x, y, w: tableWidth, h: rowHeight, fill: "rgba(0,0,0,0.07)" });
+      cell(fitText(w.name || "-", cellFont, nameWidth - 8), x + 6, y, cellFont, style.colours.text, "left");
+      fields.forEach((f, i) => cell(formatCharacteristic(f, w[f]) || "-", x + nameWidth + statWidth * (i + 0.5), y, cellFont, style.colours.text, "center"));
+      const tags = Array.isArray(w.abilities) && w.abilities.length ? w.abilities.join(", ") : "-";
+      cell(fitText(tags, cellFont, abilityWidth - 8), abilityX + 4, y, cellFont, style.colours.text, "left");
+      y += rowHeight;
+    });
+
+    items.push({ type: "rect", x, y: top, w: tableWidth, h: y - top, stroke: accent, lineWidth: 1 });
+    return y + rowHeight / 2;
+  }
+
+  // column heading of a "*" characteristic: the stat's quarter label ("MOVE") or weapon name and column ("Jaws Atk")
+  function damageColumnLabel(column, labels) {
+    if (!column.kind) {
+      const quarter = QUARTERS.find((q) => q.stat === column.key);
+      return (labels.quarters || {})[quarter.label] || column.key;
+    }
+    return `${column.weapon} ${(labels.weapons || {})[column.key] || column.key}`.trim();
+  }
+
+  // damage table (wounds suffered + one column per "*" characteristic) at y; returns the y below the table
+  function layoutDamageTable(items, data, labels, x, y, tableWidth, fontSize, style, accent) {
+    const rows = Array.isArray(data.damageTable) ? data.damageTable : [];
+    const columns = variableCharacteristics(data);
+    if (!rows.length || !columns.length) return y;
+    const rowHeight = Math.round(fontSize * 1.7);
+    const woundsWidth = tableWidth * 0.3;
+    const colWidth = (tableWidth - woundsWidth) / columns.length;
+    const headFont = { size: fontSize, weight: "bold", family: style.fonts.body };
+    const cellFont = { size: fontSize, family: style.fonts.body };
+    const table = labels.damageTable || {};
+    const top = y;
+    const cell = (text, cx, cy, font, fill, align) => items.push({ type: "text", x: cx, y: cy + rowHeight / 2, text, font, fill, align, baseline: "middle" });
+
+    items.push({ type: "rect", x, y, w: tableWidth, h: rowHeight, fill: accent });
+    cell(fitText(table.wounds || "", headFont, woundsWidth - 8), x + 6, y, headFont, style.colours.tableHead, "left");
+    columns.forEach((c, i) => cell(fitText(damageColumnLabel(c, labels), headFont, colWidth - 6), x + woundsWidth + colWidth * (i + 0.5), y, headFont, style.colours.tableHead, "center"));
+    y += rowHeight;
+
+    rows.forEach((row, idx) => {
+      if (idx % 2 === 1) items.push({ type: "rect", x, y, w: tableWidth, h: rowHeight, fill: "rgba(0,0,0,0.07)" });
+      cell(fitText(row.wounds || "-", cellFont, woundsWidth - 8), x + 6, y, cellFont, style.colours.text, "left");
+      columns.forEach((c, i) => {
+        const value = formatCharacteristic(c.key, (row.values || {})[c.ref]) || "-";
+        cell(fitText(value, cellFont, colWidth - 6), x + woundsWidth + colWidth * (i + 0.5), y, cellFont, style.colours.text, "center");
+      });
+      y += rowHeight;
+    });
+
+    items.push({ type: "rect", x, y: top, w: tableWidth, h: y - top, stroke: accent, lineWidth: 1 });
+    return y + rowHeight / 2;
+  }
+
+  // one ability: coloured timing banner, name, declare/effect text and keywords; returns the y below it.
+  // Declare / effect may contain **bold** and *italic* markup; language: hyphenation of long words
+  function layoutAbilityBlock(items, ability, labels, x, y, blockWidth, fontSize, style, language) {
+    const lineHeight = Math.round(fontSize * 1.35);
+    const bannerHeight = Math.round(fontSize * 1.7);
+    const pad = 6;
+    const colour = abilityColour(ability.timing);
+    const textWidth = blockWidth - pad * 2;
+    const bold = { size: fontSize, weight: "bold", family: style.fonts.body };
+    const regular = { size: fontSize, family: style.fonts.body };
+    const small = { size: Math.max(10, fontSize - 2), weight: "bold", family: style.fonts.body };
+
+    items.push({ type: "rect", x, y, w: blockWidth, h: bannerHeight, fill: colour });
+    items.push({
+      type: "text",
+      x: x + pad,
+      y: y + bannerHeight / 2,
+      text: fitText(abilityTimingText(ability, labels), bold, textWidth),
+      font: bold,
+      fill: style.colours.tableHead,
+      align: "left",
+      baseline: "middle",
+    });
+
+    let textY = y + bannerHeight + pad;
+    const paragraph = (text, font, fill, markup) => {
+      layoutLines(text, font, textWidth, { language, markup }).forEach((line) => {
+        line.runs.forEach((run) => {
+          items.push({ type: "text", x: x + pad + run.x, y: textY + font.size * 0.95, text: run.text, font: run.font, fill, align: "left", baseline: "alphabetic" });
+        });
+        textY += lineHeight;
+      });
+    };
+    if (ability.name) paragraph(ability.name, bold, style.colours.name, false);
+    [
+      [labels.declare, ability.declare],
+      [labels.effect, ability.effect],
+    ].forEach(([label, text]) => {
+      if (text) paragraph(`${label ? `**${label}:** ` : ""}${text}`, regular, style.colours.text, true);
+    });
+    if (Array.isArray(ability.keywords) && ability.keywords.length) {
+      paragraph(`${labels.keywords ? labels.keywords + ": " : ""}${ability.keywords.join(", ")}`, small, style.colours.text, false);
+    }
+
+    items.push({ type: "rect", x, y, w: blockWidth, h: textY + pad - y, stroke: colour, lineWidth: 1 });
+    return textY + pad * 2;
+  }
+
+  // keywords strip: label in the left box, unit keywords then faction keywords wrapped into the rest.
+  // The font shrinks until all lines fit the strip height; returns false if they don't even at 6px
+  function layoutKeywordsBar(items, keywords, labels, bar, style) {
+    const groups = [keywords.unit, keywords.faction]
+      .map((list) => (Array.isArray(list) ? list.map((k) => String(k).toUpperCase()) : []))
+      .filter((list) => list.length);
+
+    if (labels.bar) {
+      const labelFont = shrinkFont(labels.bar, { size: Math.max(8, Math.round(bar.h * 0.3)), weight: "bold", family: style.fonts.body }, bar.labelW - 8);
+      items.push({ type: "text", x: bar.x + bar.labelW / 2, y: bar.y + bar.h / 2, text: labels.bar, font: labelFont, fill: style.colours.keywordsLabel, align: "center", baseline: "middle" });
+    }
+
+    if (!groups.length) return true;
+    const textX = bar.x + bar.labelW + 8;
+    const textW = bar.w - bar.labelW - 16;
+    const font = { size: Math.max(8, Math.round(bar.h * 0.32)), weight: "bold", family: style.fonts.body };
+    let lines;
+    for (;;) {
+      lines = [].concat(...groups.map((list) => wrapItems(list, ", ", font, textW)));
+      if (lines.length * font.size * 1.2 <= bar.h || font.size <= 6) break;
+      font.size -= 1;
+    }
+    const lineHeight = bar.h / Math.max(2, lines.length);
+    lines.forEach((line, idx) => {
+      items.push({ type: "text", x: textX, y: bar.y + lineHeight * (idx + 0.5), text: line, font: { ...font }, fill: style.colours.keywords, align: "left", baseline: "middle" });
+    });
+    return lines.length * font.size * 1.2 <= bar.h;
+  }
+
+  ns.layout = {
+    DEFAULT_FRAME,
+    DEFAULT_STYLE,
+    FONT_FACES,
+    PHASE_COLOURS,
+    computeLayout,
+    abilityColour,
+    abilityTimingText,
+    damageColumnLabel,
+    unitMetaText,
+  };
+})();
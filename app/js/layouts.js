@@ -0,0 +1,62 @@
+// Layout templates (plain script, exposes window.Warscroll.layouts).
+// A layout template describes one kind of warscroll sheet as data; layout.computeLayout() draws any of them.
+// { id, size, background, frame, style }
+// - size: { width, height } of the sheet in pixels; null takes the natural size of the background image
+// - background: true draws the faction background (or an uploaded sheet template, app/js/templates.js)
+//   under the layout; without one the panels of the style draw the sheet
+// - frame: regions as fractions of the sheet as in layout.DEFAULT_FRAME (circle, header, content, keywords),
+//   plus an optional abilities region that takes the abilities out of the content area
+// - style: fonts, colours, body text size and panels as in layout.DEFAULT_STYLE; missing parts are taken from it
+//
+// The selector shows the translation "layouts.<id>" of each template.
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+  const { DEFAULT_FRAME, DEFAULT_STYLE } = ns.layout;
+
+  const LAYOUTS = [
+    // the full page on the shipped backgrounds
+    { id: "classic", size: null, background: true, frame: DEFAULT_FRAME, style: DEFAULT_STYLE },
+    // poker card, 63 x 88 mm at 10 px per mm
+    {
+      id: "card",
+      size: { width: 630, height: 880 },
+      background: false,
+      frame: {
+        circle: { cx: 0.15, cy: 0.105, r: 0.12 },
+        header: { x: 0.3, y: 0.03, w: 0.67, h: 0.15 },
+        content: { x: 0.05, y: 0.215, w: 0.9, h: 0.67 },
+        keywords: { x: 0.03, y: 0.9, w: 0.94, h: 0.075, label: 0.2 },
+      },
+      style: {
+        bodySize: 0.021,
+        panels: { sheet: "#f6f1e6", border: "accent", header: "accent", circle: "#1d1d1d", keywords: "#e8dfcb", keywordsLabel: "accent" },
+      },
+    },
+    // landscape card with the weapons on the left and the abilities on the right
+    {
+      id: "spearhead",
+      size: { width: 1100, height: 780 },
+      background: false,
+      frame: {
+        circle: { cx: 0.09, cy: 0.135, r: 0.105 },
+        header: { x: 0.18, y: 0.035, w: 0.79, h: 0.19 },
+        content: { x: 0.03, y: 0.27, w: 0.455, h: 0.6 },
+        abilities: { x: 0.515, y: 0.27, w: 0.455, h: 0.6 },
+        keywords: { x: 0.03, y: 0.895, w: 0.94, h: 0.075, label: 0.12 },
+      },
+      style: {
+        bodySize: 0.0135,
+        colours: { header: "#f3ead2" },
+        panels: { sheet: "#ece6d8", border: "#1d1d1d", header: "#1d1d1d", circle: "accent", keywords: "#ddd3bd", keywordsLabel: "#1d1d1d" },
+      },
+    },
+  ];
+
+  // the layout with this id; the classic one for unknown ids
+  function get(id) {
+    return LAYOUTS.find((l) => l.id === id) || LAYOUTS[0];
+  }
+
+  ns.layouts = { LAYOUTS, get };
+})();
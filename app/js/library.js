@@ -0,0 +1,112 @@
+// Local warscroll library (plain script, exposes window.Warscroll.library).
+// - The index ({ id, name, faction, modified, store }) lives in localStorage under "warscrolls"
+// - Warscroll data is kept in localStorage ("warscroll:<id>"); entries larger than LOCAL_LIMIT,
+//   or any entry once localStorage is full, go to IndexedDB instead (store: "idb")
+// - Every function returns a promise so callers don't care where an entry lives
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const INDEX_KEY = "warscrolls";
+  const DATA_PREFIX = "warscroll:";
+  const DB_NAME = "aos-warscrolls";
+  const STORE_NAME = "warscrolls";
+  const LOCAL_LIMIT = 256 * 1024; // characters of JSON
+
+  function readIndex() {
+    try {
+      const list = JSON.parse(localStorage.getItem(INDEX_KEY) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      console.warn("Warscroll library index is unreadable, starting empty", e);
+      return [];
+    }
+  }
+
+  function writeIndex(list) {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(list));
+  }
+
+  let dbPromise = null;
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) return reject(new Error("IndexedDB not available"));
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // run one request against the object store and resolve with its result once the transaction completes
+  function idb(mode, fn) {
+    return openDb().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(STORE_NAME, mode);
+          const req = fn(tx.objectStore(STORE_NAME));
+          tx.oncomplete = () => resolve(req ? req.result : undefined);
+          tx.onerror = () => reject(tx.error);
+        })
+    );
+  }
+
+  function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  // store the JSON where it fits and clean up the other location; returns "local" or "idb"
+  async function writeData(id, json, previousStore) {
+    if (json.length <= LOCAL_LIMIT) {
+      try {
+        localStorage.setItem(DATA_PREFIX + id, json);
+        if (previousStore === "idb") await idb("readwrite", (s) => s.delete(id)).catch(() => {});
+        return "local";
+      } catch (e) {
+        console.warn("localStorage is full, storing warscroll in IndexedDB", e);
+      }
+    }
+    await idb("readwrite", (s) => s.put(json, id));
+    localStorage.removeItem(DATA_PREFIX + id);
+    return "idb";
+  }
+
+  // all entries, most recently modified first
+  async function list() {
+    return readIndex().sort((a, b) => b.modified - a.modified);
+  }
+
+  // { id, name, faction, modified, store, data } or null
+  async function load(id) {
+    const meta = readIndex().find((e) => e.id === id);
+    if (!meta) return null;
+    const json = meta.store === "idb" ? await idb("readonly", (s) => s.get(id)) : localStorage.getItem(DATA_PREFIX + id);
+    if (json == null) return null;
+    return { ...meta, data: JSON.parse(json) };
+  }
+
+  // create (without id) or overwrite an entry; resolves with its index entry
+  async function save({ id, name, faction, data }) {
+    const entryId = id || newId();
+    const previous = readIndex().find((e) => e.id === entryId);
+    const store = await writeData(entryId, JSON.stringify(data), previous && previous.store);
+    const meta = { id: entryId, name: name || "", faction: faction || "", modified: Date.now(), store };
+    const index = readIndex().filter((e) => e.id !== entryId);
+    index.push(meta);
+    writeIndex(index);
+    return meta;
+  }
+
+  async function remove(id) {
+    const meta = readIndex().find((e) => e.id === id);
+    if (!meta) return;
+    if (meta.store === "idb") await idb("readwrite", (s) => s.delete(id));
+    localStorage.removeItem(DATA_PREFIX + id);
+    writeIndex(readIndex().filter((e) => e.id !== id));
+  }
+
+  ns.library = { list, load, save, remove };
+})();
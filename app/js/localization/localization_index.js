@@ -1,7 +0,0 @@
-import de from './de.js';
-import en from './en.js';
-
-export const translations = {
-  de,
-  en,
-};
\ No newline at end of file
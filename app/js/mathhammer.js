@@ -0,0 +1,119 @@
+// Expected damage of weapon profiles (plain script, exposes window.Warscroll.mathhammer).
+// Averages the attack sequence (hit roll, wound roll, save roll, ward roll) of every weapon of a warscroll
+// against each target save in SAVES, from the same data the layout draws.
+//
+// - dice expressions count with their average (D3 = 2, D6+1 = 4.5, 2D6 = 7); "*" is read from the first
+//   damage table row; a characteristic that is not set makes that weapon's results null
+// - unmodified hit and wound rolls of 1 always fail; a hit roll of "-" always hits (and never crits)
+// - Crit (2 Hits): a 6 to hit scores 2 hits; Crit (Auto-wound): it wounds without a wound roll;
+//   Crit (Mortal): it inflicts mortal damage equal to Damage, no wound or save roll
+// - Champion adds 1 to the Attacks of each weapon (one model); ward: the target's ward save, applied to all damage
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const SAVES = [2, 3, 4, 5, 6, "-"];
+  const WARDS = ["", 6, 5, 4];
+
+  // weapon ability tags as offered in both languages (translation files, "weaponAbilities")
+  const CRITS = {
+    twoHits: /^(crit|krit\.?)\s*\(2 (hits|treffer)\)$/i,
+    autoWound: /^(crit|krit\.?)\s*\((auto-wound|auto-verwundung)\)$/i,
+    mortal: /^(crit|krit\.?)\s*\((mortal|tödlich)\)$/i,
+  };
+
+  function critOf(abilities) {
+    const tags = Array.isArray(abilities) ? abilities.map((a) => String(a).trim()) : [];
+    return Object.keys(CRITS).find((crit) => tags.some((tag) => CRITS[crit].test(tag))) || null;
+  }
+
+  // average of a dice expression, counting results below 0 as 0 ("D3-1")
+  function diceAverage({ count, sides, modifier }) {
+    let dist = [1]; // dist[total] = probability
+    for (let i = 0; i < count; i++) {
+      const next = [];
+      dist.forEach((p, total) => {
+        for (let face = 1; face <= sides; face++) next[total + face] = (next[total + face] || 0) + p / sides;
+      });
+      dist = next;
+    }
+    return dist.reduce((sum, p, total) => sum + (p ? p * Math.max(0, total + modifier) : 0), 0);
+  }
+
+  // expected number for a stored characteristic; "-" is returned as is, null when unknown
+  function average(key, value) {
+    const { parse, parseDice } = ns.characteristics;
+    const { value: v, error } = parse(key, value);
+    if (error || v === "" || v === "*") return null;
+    if (v === "-") return "-";
+    if (typeof v === "number") return v;
+    const dice = parseDice(v);
+    return dice ? diceAverage(dice) : null;
+  }
+
+  // chance that a roll of `target`+ succeeds; unmodified 1s fail
+  const rollChance = (target) => (target > 6 ? 0 : (7 - Math.max(2, target)) / 6);
+
+  // options: { models, champion, ward, damageRow: { ref: value } used for "*" }
+  function weaponExpectation(kind, weapon, options) {
+    const { weaponRef } = ns.model;
+    const read = (field) => {
+      const raw = weapon[field] === "*" ? (options.damageRow || {})[weaponRef(kind, weapon.name, field)] : weapon[field];
+      return average(field, raw);
+    };
+    const attacksPerModel = read("attacks");
+    const hit = read("hit");
+    const wound = read("wound");
+    const damage = read("damage");
+    const rendValue = read("rend");
+    const rend = rendValue === null || rendValue === "-" ? 0 : rendValue;
+    if ([attacksPerModel, hit, wound, damage].includes(null)) return null;
+
+    const attacks = attacksPerModel * Math.max(1, options.models || 1) + (options.champion ? 1 : 0);
+    const crit = critOf(weapon.abilities);
+    const pHit = hit === "-" ? 1 : rollChance(hit);
+    const pCrit = hit === "-" ? 0 : 1 / 6;
+    const pWound = wound === "-" ? 1 : rollChance(wound);
+    const wardFails = options.ward ? 1 - rollChance(options.ward) : 1;
+
+    const critHits = attacks * pCrit;
+    const normalHits = attacks * (pHit - pCrit);
+    const rolledHits = normalHits + (crit === "twoHits" ? critHits * 2 : crit ? 0 : critHits);
+    const autoWounds = crit === "autoWound" ? critHits : 0;
+    const mortalHits = crit === "mortal" ? critHits : 0;
+    const wounds = rolledHits * pWound + autoWounds;
+
+    const result = { attacks, hits: rolledHits + autoWounds + mortalHits, wounds: wounds + mortalHits, damage: {} };
+    SAVES.forEach((save) => {
+      const saveFails = save === "-" ? 1 : 1 - rollChance(save + rend);
+      result.damage[save] = (wounds * saveFails * damage + mortalHits * damage) * wardFails;
+    });
+    return result;
+  }
+
+  // { weapons: [{ kind, name, result }], total } for a whole warscroll; total sums the weapons with a result
+  function analyse(data, options = {}) {
+    const d = ns.model.normalizeWarscroll(data);
+    const opts = {
+      models: Number(d.unit.modelCount) || 1,
+      damageRow: d.damageTable.length ? d.damageTable[0].values : {},
+      ...options,
+    };
+    const weapons = [];
+    ["ranged", "melee"].forEach((kind) =>
+      d.weapons[kind].forEach((w) => weapons.push({ kind, name: w.name, result: weaponExpectation(kind, w, opts) }))
+    );
+    const known = weapons.filter((w) => w.result);
+    const total = known.length
+      ? {
+          attacks: known.reduce((sum, w) => sum + w.result.attacks, 0),
+          hits: known.reduce((sum, w) => sum + w.result.hits, 0),
+          wounds: known.reduce((sum, w) => sum + w.result.wounds, 0),
+          damage: SAVES.reduce((out, save) => ({ ...out, [save]: known.reduce((sum, w) => sum + w.result.damage[save], 0) }), {}),
+        }
+      : null;
+    return { weapons, total };
+  }
+
+  ns.mathhammer = { SAVES, WARDS, average, weaponExpectation, analyse };
+})();
@@ -0,0 +1,291 @@
+// Warscroll data model (plain script, exposes window.Warscroll.model).
+// Factories for empty parts of a warscroll and the enumerations shared by the editor,
+// the renderers, the library and the JSON file format.
+//
+// A warscroll: { language, faction, unit, stats, weapons: { ranged, melee }, abilities, keywords: { unit, faction }, damageTable,
+// artwork }; artwork is null or the unit's picture (createArtwork)
+//
+// damageTable: rows of { wounds: "0-3", values: { ref: value } } for monsters whose characteristics degrade.
+// Every characteristic set to "*" gets a column; see variableCharacteristics() for the refs.
+//
+// Texts (TEXT_FIELDS) are written in `language`. The unit, each weapon, each ability and the keywords may carry
+// translations: { <language>: { field: text } } with the same fields in other languages;
+// localizeWarscroll(data, language) picks them, falling back to the original texts.
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  // Weapon table columns. Melee profiles have no range (AoS 4 layout).
+  const WEAPON_FIELDS = {
+    ranged: ["range", "attacks", "hit", "wound", "rend", "damage"],
+    melee: ["attacks", "hit", "wound", "rend", "damage"],
+  };
+
+  // Ability timings in the order they are offered in the editor; phase picks the banner colour
+  const ABILITY_TIMINGS = [
+    { id: "passive", phase: "passive" },
+    { id: "deployment", phase: "start" },
+    { id: "startOfBattleRound", phase: "start" },
+    { id: "startOfTurn", phase: "start" },
+    { id: "anyHeroPhase", phase: "hero" },
+    { id: "yourHeroPhase", phase: "hero" },
+    { id: "enemyHeroPhase", phase: "hero" },
+    { id: "anyMovementPhase", phase: "movement" },
+    { id: "yourMovementPhase", phase: "movement" },
+    { id: "enemyMovementPhase", phase: "movement" },
+    { id: "anyShootingPhase", phase: "shooting" },
+    { id: "yourShootingPhase", phase: "shooting" },
+    { id: "enemyShootingPhase", phase: "shooting" },
+    { id: "anyChargePhase", phase: "charge" },
+    { id: "yourChargePhase", phase: "charge" },
+    { id: "enemyChargePhase", phase: "charge" },
+    { id: "anyCombatPhase", phase: "combat" },
+    { id: "yourCombatPhase", phase: "combat" },
+    { id: "enemyCombatPhase", phase: "combat" },
+    { id: "endOfTurn", phase: "end" },
+    { id: "endOfBattleRound", phase: "end" },
+    { id: "reaction", phase: "reaction" },
+  ];
+
+  // free-text fields per part of a warscroll; strings, or lists of strings for tags
+  const TEXT_FIELDS = {
+    unit: ["name", "subtitle"],
+    weapon: ["name", "abilities"],
+    ability: ["name", "declare", "effect", "keywords"],
+    keywords: ["unit", "faction"],
+  };
+
+  // Optional usage limits shown in front of the timing ("Once Per Battle, Your Hero Phase")
+  const ABILITY_USAGES = ["", "oncePerTurn", "oncePerBattle", "oncePerTurnArmy"];
+
+  function createStats() {
+    return { move: "", health: "", save: "", control: "" };
+  }
+
+  function createUnit() {
+    return { name: "", subtitle: "", modelCount: "", baseSize: "", points: "" };
+  }
+
+  function createWeapon() {
+    return { name: "", range: "", attacks: "", hit: "", wound: "", rend: "", damage: "", abilities: [] };
+  }
+
+  function createAbility() {
+    return { name: "", timing: "passive", usage: "", declare: "", effect: "", keywords: [] };
+  }
+
+  function createKeywords() {
+    return { unit: [], faction: [] };
+  }
+
+  // Unit artwork: the picture (data: URL, see app/js/artwork.js) with its pixel size and placement in the
+  // artwork frame; zoom 1 fills the frame, x / y (0..1) pick the part shown (0.5 = centred)
+  const ARTWORK_ZOOM = { min: 0.5, max: 4 };
+
+  function createArtwork(image, width, height) {
+    return { image, width, height, x: 0.5, y: 0.5, zoom: 1 };
+  }
+
+  function createDamageRow() {
+    return { wounds: "", values: {} };
+  }
+
+  function createWarscroll() {
+    return {
+      language: null,
+      faction: "",
+      unit: createUnit(),
+      stats: createStats(),
+      weapons: { ranged: [], melee: [] },
+      abilities: [],
+      keywords: createKeywords(),
+      damageTable: [],
+      artwork: null,
+    };
+  }
+
+  const list = (v) => (Array.isArray(v) ? v : []);
+  const obj = (v) => (v && typeof v === "object" && !Array.isArray(v) ? v : {});
+
+  const isText = (v) => typeof v === "string" || (Array.isArray(v) && v.every((t) => typeof t === "string"));
+
+  // translations of a part, keeping only text fields; undefined when there are none
+  function normalizeTranslations(value, fields) {
+    const out = {};
+    Object.keys(obj(value)).forEach((language) => {
+      const texts = {};
+      fields.forEach((field) => {
+        const text = obj(value[language])[field];
+        if (isText(text) && text.length) texts[field] = Array.isArray(text) ? text.slice() : text;
+      });
+      if (Object.keys(texts).length) out[language] = texts;
+    });
+    return Object.keys(out).length ? out : undefined;
+  }
+
+  // part with its translations (if any) normalized
+  function withTranslations(part, source, fields) {
+    const translations = normalizeTranslations(obj(source).translations, fields);
+    return translations ? { ...part, translations } : part;
+  }
+
+  // artwork with its placement inside the allowed ranges; null without a usable image
+  function normalizeArtwork(value) {
+    const a = obj(value);
+    const size = (v) => (Number.isFinite(v) && v > 0 ? v : null);
+    if (typeof a.image !== "string" || !a.image.startsWith("data:image/") || !size(a.width) || !size(a.height)) return null;
+    const clamp = (v, min, max, fallback) => (Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : fallback);
+    return {
+      image: a.image,
+      width: a.width,
+      height: a.height,
+      x: clamp(a.x, 0, 1, 0.5),
+      y: clamp(a.y, 0, 1, 0.5),
+      zoom: clamp(a.zoom, ARTWORK_ZOOM.min, ARTWORK_ZOOM.max, 1),
+    };
+  }
+
+  // complete warscroll from partial data: missing parts become empty, unknown keys are dropped
+  function normalizeWarscroll(data) {
+    const d = obj(data);
+    const pick = (defaults, source) => {
+      const src = obj(source);
+      const out = {};
+      Object.keys(defaults).forEach((k) => {
+        out[k] = src[k] === undefined || src[k] === null ? defaults[k] : src[k];
+      });
+      return out;
+    };
+    const weapons = obj(d.weapons);
+    const keywords = obj(d.keywords);
+    const weapon = (w) => withTranslations({ ...pick(createWeapon(), w), abilities: list(obj(w).abilities).slice() }, w, TEXT_FIELDS.weapon);
+    return {
+      language: typeof d.language === "string" && d.language ? d.language : null,
+      faction: typeof d.faction === "string" ? d.faction : "",
+      unit: withTranslations(pick(createUnit(), d.unit), d.unit, TEXT_FIELDS.unit),
+      stats: pick(createStats(), d.stats),
+      weapons: {
+        ranged: list(weapons.ranged).map(weapon),
+        melee: list(weapons.melee).map(weapon),
+      },
+      abilities: list(d.abilities).map((a) =>
+        withTranslations({ ...pick(createAbility(), a), keywords: list(obj(a).keywords).slice() }, a, TEXT_FIELDS.ability)
+      ),
+      keywords: withTranslations({ unit: list(keywords.unit).slice(), faction: list(keywords.faction).slice() }, keywords, TEXT_FIELDS.keywords),
+      damageTable: list(d.damageTable).map((r) => ({
+        wounds: typeof obj(r).wounds === "string" ? r.wounds : "",
+        values: { ...obj(obj(r).values) },
+      })),
+      artwork: normalizeArtwork(d.artwork),
+    };
+  }
+
+  // characteristics set to "*" (taken from the damage table), in warscroll order: { ref, key, kind, weapon }.
+  // ref is the stat key ("move") or "<kind>:<weapon name>:<field>" ("melee:Fearsome Jaws:attacks").
+  function variableCharacteristics(data) {
+    const d = obj(data);
+    const weapons = obj(d.weapons);
+    const found = [];
+    Object.keys(createStats()).forEach((key) => {
+      if (obj(d.stats)[key] === "*") found.push({ ref: key, key, kind: null, weapon: null });
+    });
+    ["ranged", "melee"].forEach((kind) =>
+      list(weapons[kind]).forEach((w) =>
+        WEAPON_FIELDS[kind].forEach((field) => {
+          if (obj(w)[field] === "*") found.push({ ref: weaponRef(kind, w.name, field), key: field, kind, weapon: w.name || "" });
+        })
+      )
+    );
+    return found.filter((c, i) => found.findIndex((o) => o.ref === c.ref) === i);
+  }
+
+  // the parts of a warscroll that hold texts: [{ part, kind, path }], kind is a TEXT_FIELDS key
+  function textParts(d) {
+    return [
+      { part: d.unit, kind: "unit", path: "unit" },
+      ...["ranged", "melee"].flatMap((k) => d.weapons[k].map((w, i) => ({ part: w, kind: "weapon", path: `weapons.${k}[${i}]` }))),
+      ...d.abilities.map((a, i) => ({ part: a, kind: "ability", path: `abilities[${i}]` })),
+      { part: d.keywords, kind: "keywords", path: "keywords" },
+    ];
+  }
+
+  // text of a field in language: the original when the warscroll is written in it, else the translation;
+  // null when the translation is missing (empty)
+  function translatedText(part, field, language, original) {
+    if (!language || language === original) return part[field];
+    const text = obj(obj(part.translations)[language])[field];
+    return isText(text) && text.length ? text : null;
+  }
+
+  // fields with an original text but no translation into language: ["unit.name", "abilities[0].effect", ...]
+  function missingTranslations(data, language) {
+    const d = normalizeWarscroll(data);
+    if (!language || !d.language || language === d.language) return [];
+    const missing = [];
+    textParts(d).forEach(({ part, kind, path }) =>
+      TEXT_FIELDS[kind].forEach((field) => {
+        if (part[field].length && translatedText(part, field, language, d.language) === null) missing.push(`${path}.${field}`);
+      })
+    );
+    return missing;
+  }
+
+  // warscroll with its texts in language (missing translations keep the original text); damage table refs
+  // follow the translated weapon names
+  function localizeWarscroll(data, language) {
+    const d = normalizeWarscroll(data);
+    if (!language || !d.language || language === d.language) return d;
+    const originalNames = ["ranged", "melee"].flatMap((kind) => d.weapons[kind].map((w) => [kind, w, w.name]));
+    textParts(d).forEach(({ part, kind }) => {
+      TEXT_FIELDS[kind].forEach((field) => {
+        const text = translatedText(part, field, language, d.language);
+        if (text !== null) part[field] = Array.isArray(text) ? text.slice() : text;
+      });
+      delete part.translations;
+    });
+    // "<kind>:<original name>" -> "<kind>:<translated name>"
+    const renamed = {};
+    originalNames.forEach(([kind, w, name]) => (renamed[`${kind}:${name || ""}`] = `${kind}:${w.name || ""}`));
+    d.damageTable.forEach((row) => {
+      const values = {};
+      Object.keys(row.values).forEach((ref) => {
+        const weapon = ref.includes(":") ? ref.slice(0, ref.lastIndexOf(":")) : null;
+        values[weapon !== null && weapon in renamed ? `${renamed[weapon]}:${refKey(ref)}` : ref] = row.values[ref];
+      });
+      row.values = values;
+    });
+    return { ...d, language };
+  }
+
+  function weaponRef(kind, name, field) {
+    return `${kind}:${name || ""}:${field}`;
+  }
+
+  // characteristic key of a ref ("move", "attacks"), used to read and format its values
+  function refKey(ref) {
+    return String(ref).split(":").pop();
+  }
+
+  ns.model = {
+    WEAPON_FIELDS,
+    TEXT_FIELDS,
+    ARTWORK_ZOOM,
+    ABILITY_TIMINGS,
+    ABILITY_USAGES,
+    createStats,
+    createUnit,
+    createWeapon,
+    createAbility,
+    createKeywords,
+    createDamageRow,
+    createArtwork,
+    createWarscroll,
+    normalizeWarscroll,
+    localizeWarscroll,
+    missingTranslations,
+    translatedText,
+    variableCharacteristics,
+    weaponRef,
+    refKey,
+  };
+})();
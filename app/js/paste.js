@@ -0,0 +1,298 @@
+// Paste-to-import (plain script, exposes window.Warscroll.paste).
+// Reads a warscroll from plain text copied out of a PDF or a forum post. The labels it looks for (stat names,
+// weapon table headings, timings, "Declare:" / "Effect:", the keywords strip, ...) come from the translation
+// files, one vocabulary per language, so every language the app speaks can be pasted.
+//
+// - createVocabulary(language, labels) -> vocabulary; labels are the translation sections of one language:
+//   { quarters, weapons, timings, usages, abilities, keywords, unit, factions }
+// - parse(text, vocabularies) -> { data, language, lines: [{ text, field }] }
+//   data: the warscroll (model.js) with everything that could be read; language: the vocabulary that matched
+//   best; lines: every non-empty input line with the field it went into ("stats", "weapons.melee[0]",
+//   "abilities[1].effect", ...), or null when it could not be mapped and needs a look before accepting
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+  const { WEAPON_FIELDS, ABILITY_TIMINGS, ABILITY_USAGES, createWarscroll, createWeapon, createAbility, normalizeWarscroll } = ns.model;
+  const { parse: parseCharacteristic } = ns.characteristics;
+
+  // stat circle quarter label -> stat
+  const QUARTER_STATS = { top: "move", left: "health", right: "save", bottom: "control" };
+
+  const norm = (s) =>
+    String(s || "")
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim();
+
+  // "Rng | Atk" table cells, tabs and non-breaking spaces read as plain spaces
+  const cleanLine = (line) => line.replace(/[|\t ]+/g, " ").replace(/\s+/g, " ").trim();
+
+  const splitList = (text) =>
+    String(text)
+      .split(/[,;]/)
+      .map((s) => s.trim())
+      .filter((s) => s && !/^[-–—]$/.test(s));
+
+  function createVocabulary(language, labels) {
+    const section = (key) => labels[key] || {};
+    const forms = (value) => (value && typeof value === "object" ? Object.values(value) : [value]).filter(Boolean).map(norm);
+    const stats = {};
+    Object.keys(QUARTER_STATS).forEach((q) => {
+      if (section("quarters")[q]) stats[norm(section("quarters")[q])] = QUARTER_STATS[q];
+    });
+    const weapons = section("weapons");
+    const abilities = section("abilities");
+    return {
+      language,
+      stats,
+      tables: { ranged: norm(weapons.ranged), melee: norm(weapons.melee) },
+      columns: ["name", "range", "attacks", "hit", "wound", "rend", "damage", "abilities"].map((k) => norm(weapons[k])).filter(Boolean),
+      timings: ABILITY_TIMINGS.map((t) => ({ id: t.id, name: norm(section("timings")[t.id]) })).filter((t) => t.name),
+      usages: ABILITY_USAGES.filter(Boolean)
+        .map((id) => ({ id, name: norm(section("usages")[id]) }))
+        .filter((u) => u.name)
+        // "Once Per Turn (Army)" before "Once Per Turn"
+        .sort((a, b) => b.name.length - a.name.length),
+      declare: norm(abilities.declare),
+      effect: norm(abilities.effect),
+      abilityKeywords: norm(abilities.keywords),
+      keywordsBar: String(section("keywords").bar || "").trim(), // as printed (capitals), unlike the ability "Keywords:"
+      models: forms(section("unit").models),
+      points: [section("unit").pointsShort, section("unit").points].filter(Boolean).map(norm),
+      factions: Object.keys(section("factions")).map((id) => ({ id, name: norm(section("factions")[id]) })),
+      factionKeywords: (section("keywordVocabulary").faction || []).map(norm),
+    };
+  }
+
+  // "Declare: text" -> "text" when line starts with label and a colon; null otherwise
+  function labelled(line, label) {
+    if (!label) return null;
+    const lower = norm(line);
+    if (!lower.startsWith(label)) return null;
+    const rest = line.slice(label.length).trim();
+    return rest.startsWith(":") ? rest.slice(1).trim() : null;
+  }
+
+  // { timing, usage } for a banner line such as "Once Per Turn, Your Hero Phase"
+  function readTiming(line, vocab) {
+    let text = norm(line);
+    let usage = "";
+    const found = vocab.usages.find((u) => text.startsWith(u.name));
+    if (found) {
+      usage = found.id;
+      text = text.slice(found.name.length).replace(/^[\s,:]+/, "");
+    }
+    const timing = vocab.timings.find((t) => t.name === text);
+    return timing ? { timing: timing.id, usage } : null;
+  }
+
+  // stats named on the line ("MOVE 5" HEALTH 6", "5" MOVE"); null unless every word is a label or a value
+  function readStats(line, vocab) {
+    const tokens = line.split(" ");
+    const used = tokens.map(() => false);
+    const values = {};
+    tokens.forEach((token, i) => {
+      const key = vocab.stats[norm(token).replace(/:$/, "")];
+      if (!key) return;
+      used[i] = true;
+      const value = [i + 1, i - 1].find((j) => j >= 0 && j < tokens.length && !used[j] && !parseCharacteristic(key, tokens[j]).error);
+      if (value === undefined) return (values[key] = null); // label alone: the value may follow on the next line
+      used[value] = true;
+      values[key] = parseCharacteristic(key, tokens[value]).value;
+    });
+    return Object.keys(values).length && used.every(Boolean) ? values : null;
+  }
+
+  // a weapon profile row: name, one value per column, then weapon abilities ("-" for none); null if it isn't one
+  function readWeapon(line, kind) {
+    const fields = WEAPON_FIELDS[kind];
+    const tokens = line.split(" ");
+    for (let i = 1; i + fields.length <= tokens.length; i++) {
+      const values = fields.map((f, n) => parseCharacteristic(f, tokens[i + n]));
+      if (values.some((v) => v.error || v.value === "")) continue;
+      const weapon = createWeapon();
+      weapon.name = tokens.slice(0, i).join(" ");
+      // rend 0 is printed as "-" (characteristics.format)
+      fields.forEach((f, n) => (weapon[f] = f === "rend" && values[n].value === "-" ? 0 : values[n].value));
+      weapon.abilities = splitList(tokens.slice(i + fields.length).join(" "));
+      return weapon;
+    }
+    return null;
+  }
+
+  // header line "Stormcast Eternals · 5 models · 40mm · 120 pts" (or any part of it); null unless every part is known
+  function readMeta(line, vocab) {
+    const unit = {};
+    const parts = line.split(/\s*[·•|]\s*/).filter(Boolean);
+    const known = parts.every((part) => {
+      const lower = norm(part);
+      const faction = vocab.factions.find((f) => f.name === lower);
+      if (faction) return (unit.faction = faction.id);
+      const m = /^(\d+)\s*(.+)$/.exec(lower);
+      if (m && vocab.models.includes(m[2])) return (unit.modelCount = Number(m[1]));
+      if (m && vocab.points.includes(m[2])) return (unit.points = Number(m[1]));
+      if (/^\d+(\.\d+)?\s*mm$/.test(lower)) return (unit.baseSize = part.replace(/\s+/g, ""));
+      return false;
+    });
+    return known && parts.length ? unit : null;
+  }
+
+  const isCaps = (line) => /\p{Lu}/u.test(line) && line === line.toUpperCase();
+
+  // read the text with one vocabulary; the score counts lines that matched a label of the language
+  function parseWith(lines, vocab) {
+    const d = createWarscroll();
+    d.language = vocab.language;
+    const out = lines.map((text) => ({ text, field: null }));
+    let score = 0;
+    let table = null; // weapon table being read
+    let ability = null; // ability being read, and the field further lines are added to
+    let abilityField = null;
+    let pendingStat = null; // stat label read without its value
+    let keywordsMode = null; // "unit" after the keywords strip label
+    let started = false; // past the header (name, subtitle, meta)
+    const header = []; // unit name, then subtitle
+
+    const abilityPath = () => `abilities[${d.abilities.indexOf(ability)}]`;
+    const appendText = (field, text) => (ability[field] = ability[field] ? `${ability[field]} ${text}` : text);
+
+    lines.forEach((line, idx) => {
+      const map = (field, matched = false) => {
+        out[idx].field = field;
+        if (matched) score++;
+      };
+      const lower = norm(line);
+
+      if (/^[-=:\s|]+$/.test(line)) return map("layout"); // table rules of forum posts
+
+      if (pendingStat) {
+        const value = parseCharacteristic(pendingStat, line);
+        const key = pendingStat;
+        pendingStat = null;
+        if (!value.error && value.value !== "") {
+          d.stats[key] = value.value;
+          return map("stats");
+        }
+      }
+
+      const stats = readStats(line, vocab);
+      if (stats) {
+        started = true;
+        Object.keys(stats).forEach((key) => {
+          if (stats[key] === null) pendingStat = key;
+          else d.stats[key] = stats[key];
+        });
+        ability = null;
+        return map("stats", true);
+      }
+
+      const kind = Object.keys(vocab.tables).find((k) => vocab.tables[k] && lower.startsWith(vocab.tables[k]));
+      if (kind) {
+        started = true;
+        table = kind;
+        ability = null;
+        return map(`weapons.${kind}`, true);
+      }
+      if (table && lower.split(" ").every((w) => vocab.columns.includes(w))) return map(`weapons.${table}`, true);
+      if (table) {
+        const weapon = readWeapon(line, table);
+        if (weapon) {
+          d.weapons[table].push(weapon);
+          return map(`weapons.${table}[${d.weapons[table].length - 1}]`);
+        }
+        table = null;
+      }
+
+      const banner = readTiming(line, vocab);
+      if (banner) {
+        started = true;
+        keywordsMode = null;
+        ability = { ...createAbility(), ...banner };
+        abilityField = "name";
+        d.abilities.push(ability);
+        return map(`${abilityPath()}.timing`, true);
+      }
+
+      if (vocab.keywordsBar && line.startsWith(vocab.keywordsBar)) {
+        started = true;
+        ability = null;
+        keywordsMode = "unit";
+        const rest = line.slice(vocab.keywordsBar.length).replace(/^[\s:]+/, "");
+        if (rest) d.keywords.unit.push(...splitList(rest));
+        return map("keywords.unit", true);
+      }
+
+      if (ability) {
+        const declare = labelled(line, vocab.declare);
+        const effect = labelled(line, vocab.effect);
+        const keywords = labelled(line, vocab.abilityKeywords);
+        if (declare !== null || effect !== null) {
+          abilityField = declare !== null ? "declare" : "effect";
+          if (declare !== null ? declare : effect) appendText(abilityField, declare !== null ? declare : effect);
+          return map(`${abilityPath()}.${abilityField}`, true);
+        }
+        if (keywords !== null) {
+          ability.keywords = splitList(keywords);
+          abilityField = null;
+          return map(`${abilityPath()}.keywords`, true);
+        }
+        if (abilityField === "name") {
+          // "Name: effect" on one line for abilities without a "Declare:" step
+          const colon = line.indexOf(":");
+          ability.name = (colon > 0 ? line.slice(0, colon) : line).trim();
+          abilityField = "effect";
+          if (colon > 0 && line.slice(colon + 1).trim()) {
+            appendText("effect", line.slice(colon + 1).trim());
+            return map(`${abilityPath()}.effect`);
+          }
+          return map(`${abilityPath()}.name`);
+        }
+      }
+
+      if (keywordsMode && isCaps(line)) {
+        const list = splitList(line);
+        // the faction line names the grand alliance or the faction
+        const faction = keywordsMode === "faction" || list.some((k) => vocab.factionKeywords.includes(norm(k)));
+        if (faction) keywordsMode = "faction";
+        d.keywords[keywordsMode].push(...list);
+        return map(`keywords.${keywordsMode}`);
+      }
+
+      if (ability && abilityField && abilityField !== "name") {
+        appendText(abilityField, line);
+        return map(`${abilityPath()}.${abilityField}`);
+      }
+
+      const meta = readMeta(line, vocab);
+      if (meta) {
+        if (meta.faction) d.faction = meta.faction;
+        ["modelCount", "baseSize", "points"].forEach((k) => meta[k] !== undefined && (d.unit[k] = meta[k]));
+        return map("unit", true);
+      }
+
+      if (!started && header.length < 2) {
+        header.push(line);
+        return map(header.length === 1 ? "unit.name" : "unit.subtitle");
+      }
+      return undefined; // not mapped
+    });
+
+    d.unit.name = header[0] || "";
+    d.unit.subtitle = header[1] || "";
+    return { data: normalizeWarscroll(d), language: vocab.language, lines: out, score };
+  }
+
+  function parse(text, vocabularies) {
+    const lines = String(text || "")
+      .split(/\r?\n/)
+      .map(cleanLine)
+      .filter(Boolean);
+    const results = vocabularies.map((vocab) => parseWith(lines, vocab));
+    const best = results.reduce((a, b) => (b.score > a.score ? b : a), results[0]);
+    if (!best) return { data: normalizeWarscroll(createWarscroll()), language: null, lines: lines.map((l) => ({ text: l, field: null })) };
+    const { data, language, lines: mapped } = best;
+    return { data, language, lines: mapped };
+  }
+
+  ns.paste = { createVocabulary, parse };
+})();
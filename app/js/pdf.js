@@ -0,0 +1,112 @@
+// Minimal PDF writer (plain script, exposes window.Warscroll.pdf).
+// Builds PDF 1.4 files in the browser without libraries or a server: pages hold JPEG images
+// (rendered warscrolls) and straight lines (crop marks). Coordinates are in points (1/72 inch)
+// with the origin at the top left of the page, like the canvas.
+//
+//   const doc = pdf.createPdf();
+//   const page = doc.addPage(width, height);
+//   page.image(pdf.canvasToJpeg(canvas), x, y, w, h);
+//   const blob = doc.toBlob();
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const PT_PER_PX = 72 / 96; // CSS pixels are 1/96 inch
+  const MM = 72 / 25.4; // points per millimetre
+
+  const num = (n) => String(Math.round(n * 100) / 100);
+
+  // { data: Uint8Array, width, height } of a canvas encoded as JPEG
+  function canvasToJpeg(canvas, quality = 0.92) {
+    const base64 = canvas.toDataURL("image/jpeg", quality).split(",")[1];
+    const binary = atob(base64);
+    const data = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) data[i] = binary.charCodeAt(i);
+    return { data, width: canvas.width, height: canvas.height };
+  }
+
+  function createPdf() {
+    const pages = [];
+
+    // width/height in points; options.trim: { x, y, w, h } trim box for print shops (defaults to the page)
+    function addPage(width, height, options = {}) {
+      const page = { width, height, trim: options.trim || null, images: [], ops: [] };
+      pages.push(page);
+      const flipY = (y) => height - y;
+      return {
+        image(jpeg, x, y, w, h) {
+          page.images.push(jpeg);
+          page.ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(flipY(y + h))} cm /Im${page.images.length} Do Q`);
+        },
+        line(x1, y1, x2, y2, lineWidth = 0.25) {
+          page.ops.push(`${num(lineWidth)} w ${num(x1)} ${num(flipY(y1))} m ${num(x2)} ${num(flipY(y2))} l S`);
+        },
+      };
+    }
+
+    function toBlob() {
+      const encoder = new TextEncoder();
+      const chunks = [];
+      const offsets = [];
+      let length = 0;
+      const write = (part) => {
+        const bytes = typeof part === "string" ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+      const object = (id, dict, stream) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${dict}\n`);
+        if (stream) {
+          write("stream\n");
+          write(stream);
+          write("\nendstream\n");
+        }
+        write("endobj\n");
+      };
+
+      // object ids: 1 catalog, 2 page tree, then per page: page, content stream, images
+      let nextId = 3;
+      pages.forEach((page) => {
+        page.id = nextId++;
+        page.contentId = nextId++;
+        page.imageIds = page.images.map(() => nextId++);
+      });
+
+      write("%PDF-1.4\n%âãÏÓ\n");
+      object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+      object(2, `<< /Type /Pages /Kids [${pages.map((p) => `${p.id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+      pages.forEach((page) => {
+        const xobjects = page.imageIds.map((id, i) => `/Im${i + 1} ${id} 0 R`).join(" ");
+        const media = `[0 0 ${num(page.width)} ${num(page.height)}]`;
+        const trim = page.trim
+          ? ` /TrimBox [${num(page.trim.x)} ${num(page.height - page.trim.y - page.trim.h)} ${num(page.trim.x + page.trim.w)} ${num(page.height - page.trim.y)}] /BleedBox ${media}`
+          : "";
+        object(
+          page.id,
+          `<< /Type /Page /Parent 2 0 R /MediaBox ${media}${trim} /Resources << /XObject << ${xobjects} >> >> /Contents ${page.contentId} 0 R >>`
+        );
+        const content = encoder.encode(page.ops.join("\n"));
+        object(page.contentId, `<< /Length ${content.length} >>`, content);
+        page.images.forEach((img, i) => {
+          object(
+            page.imageIds[i],
+            `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.data.length} >>`,
+            img.data
+          );
+        });
+      });
+
+      const xref = length;
+      const pad = (n) => String(n).padStart(10, "0");
+      write(`xref\n0 ${nextId}\n0000000000 65535 f \n`);
+      for (let id = 1; id < nextId; id++) write(`${pad(offsets[id])} 00000 n \n`);
+      write(`trailer\n<< /Size ${nextId} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+      return new Blob(chunks, { type: "application/pdf" });
+    }
+
+    return { addPage, toBlob };
+  }
+
+  ns.pdf = { PT_PER_PX, MM, canvasToJpeg, createPdf };
+})();
@@ -0,0 +1,134 @@
+// Points estimator (plain script, exposes window.Warscroll.points).
+// A first guess at a unit's points from its profile, driven by a weights config (data/points-weights.json,
+// editable in the app). Every factor turns one aspect of the warscroll into points:
+//
+//   estimate(data, weights) -> { total, parts: [{ id, points, params }] }
+//
+// total is the sum rounded to weights.round. params carry the numbers behind a part so the UI can explain it.
+// Factors are pluggable: addFactor({ id, compute(data, weights) -> { points, params } }) adds one more part;
+// a factor that returns null is left out of the breakdown.
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const WARD_TAG = /^(ward|abwehr)\s*\((\d)\+\)$/i;
+
+  const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : 0);
+
+  // expected value of a stat; "*" is read from the first damage table row, anything unreadable counts as 0
+  function statValue(d, key) {
+    const raw = d.stats[key] === "*" && d.damageTable.length ? d.damageTable[0].values[key] : d.stats[key];
+    const v = ns.mathhammer.average(key, raw);
+    return typeof v === "number" ? v : null;
+  }
+
+  const models = (d) => Math.max(1, Number(d.unit.modelCount) || 1);
+
+  // unit keywords, ability keywords and weapon abilities, as written
+  function tagsOf(d) {
+    return [
+      ...d.keywords.unit,
+      ...d.abilities.flatMap((a) => a.keywords),
+      ...d.weapons.ranged.flatMap((w) => w.abilities),
+      ...d.weapons.melee.flatMap((w) => w.abilities),
+    ].map((t) => String(t).trim());
+  }
+
+  const factors = [
+    {
+      // wounds of the whole unit, made tougher by its save and ward
+      id: "durability",
+      compute(d, w) {
+        const health = statValue(d, "health");
+        if (health === null) return null;
+        const save = statValue(d, "save");
+        const saveKey = save === null ? "-" : String(save);
+        const ward = tagsOf(d).map((t) => WARD_TAG.exec(t)).find(Boolean);
+        const wardKey = ward ? ward[2] : null;
+        const multiplier = num((w.saveMultiplier || {})[saveKey]) * (wardKey ? num((w.wardMultiplier || {})[wardKey]) || 1 : 1);
+        const wounds = health * models(d);
+        return { points: wounds * num(w.health) * multiplier, params: { wounds, save: saveKey === "-" ? "-" : `${saveKey}+`, ward: wardKey ? `${wardKey}+` : "-", multiplier } };
+      },
+    },
+    {
+      id: "move",
+      compute(d, w) {
+        const move = statValue(d, "move");
+        if (move === null) return null;
+        return { points: Math.max(0, move - num(w.moveBase)) * num(w.move), params: { move, base: num(w.moveBase) } };
+      },
+    },
+    {
+      id: "control",
+      compute(d, w) {
+        const control = statValue(d, "control");
+        if (control === null) return null;
+        const total = control * models(d);
+        return { points: total * num(w.control), params: { control: total } };
+      },
+    },
+    {
+      // expected damage of all weapons against weights.damageSave (see mathhammer.js)
+      id: "damage",
+      compute(d, w) {
+        const save = w.damageSave === "-" ? "-" : num(w.damageSave) || 4;
+        const champion = d.keywords.unit.some((k) => String(k).toUpperCase() === "CHAMPION");
+        const { total } = ns.mathhammer.analyse(d, { champion });
+        if (!total) return null;
+        const damage = total.damage[save] || 0;
+        return { points: damage * num(w.damage), params: { damage, save: save === "-" ? "-" : `${save}+` } };
+      },
+    },
+    {
+      id: "abilities",
+      compute(d, w) {
+        if (!d.abilities.length) return null;
+        return { points: d.abilities.length * num(w.ability), params: { count: d.abilities.length } };
+      },
+    },
+    {
+      // tags listed in weights.tags (case-insensitive), each counted once
+      id: "tags",
+      compute(d, w) {
+        const weights = w.tags || {};
+        const keys = Object.keys(weights);
+        const found = [...new Set(tagsOf(d).map((t) => keys.find((k) => k.toLowerCase() === t.toLowerCase())).filter(Boolean))];
+        if (!found.length) return null;
+        return { points: found.reduce((sum, k) => sum + num(weights[k]), 0), params: { tags: found.join(", ") } };
+      },
+    },
+  ];
+
+  function addFactor(factor) {
+    if (!factor || !factor.id || typeof factor.compute !== "function") throw new Error("A points factor needs an id and compute()");
+    const existing = factors.findIndex((f) => f.id === factor.id);
+    if (existing >= 0) factors[existing] = factor;
+    else factors.push(factor);
+  }
+
+  function estimate(data, weights) {
+    const d = ns.model.normalizeWarscroll(data);
+    const w = weights && typeof weights === "object" ? weights : {};
+    const parts = [];
+    factors.forEach((factor) => {
+      const part = factor.compute(d, w);
+      if (part) parts.push({ id: factor.id, points: num(part.points), params: part.params || {} });
+    });
+    const sum = parts.reduce((total, p) => total + p.points, 0);
+    const step = num(w.round) > 0 ? num(w.round) : 1;
+    return { total: Math.max(0, Math.round(sum / step) * step), parts };
+  }
+
+  // parse weights JSON typed by the user; returns { weights, error } where error is the parser's message
+  function parseWeights(text) {
+    try {
+      const weights = JSON.parse(text);
+      if (!weights || typeof weights !== "object" || Array.isArray(weights)) return { weights: null, error: "expected an object" };
+      return { weights, error: null };
+    } catch (e) {
+      return { weights: null, error: e.message };
+    }
+  }
+
+  ns.points = { factors, addFactor, estimate, parseWeights };
+})();
@@ -0,0 +1,200 @@
+// Print sheets (plain script, exposes window.Warscroll.print).
+// Tiles warscrolls onto A4 / US Letter pages - full page, 2-up or 4-up - with optional bleed and
+// crop marks, and writes them into one multi-page PDF (app/js/pdf.js). Every warscroll is drawn with
+// render.drawWarscrollCanvas, the same code path as the PNG export.
+//
+// settings: { paper: "a4" | "letter", perPage: 1 | 2 | 4, bleed: mm, cropMarks: boolean }
+//
+// createRosterPdf() puts summary pages (an army roster) in front of the warscrolls. A summary is text only:
+// { title, subtitle, lines: [{ text, value, style: "heading" | "item" | "note" }] } where value is printed
+// right-aligned (points) and notes are printed in red (rule violations).
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  // portrait sizes in mm
+  const PAPER = {
+    a4: { w: 210, h: 297 },
+    letter: { w: 215.9, h: 279.4 },
+  };
+
+  // grid per page; 2-up turns the page so two portrait warscrolls sit side by side
+  const PER_PAGE = {
+    1: { cols: 1, rows: 1, landscape: false },
+    2: { cols: 2, rows: 1, landscape: true },
+    4: { cols: 2, rows: 2, landscape: false },
+  };
+
+  const CROP_MARK = { offset: 2, length: 4 }; // mm, measured from the edge of the bleed
+  const PAGE_MARGIN = 5; // mm outside bleed and crop marks, clear of the printer's unprintable border
+  const MIN_GUTTER = 4; // mm between cards without bleed or crop marks
+  const PRINT_DPI = 300; // resolution of the warscroll images, also used for single PDF exports
+
+  const DEFAULT_SETTINGS = { paper: "a4", perPage: 1, bleed: 3, cropMarks: true };
+
+  const SUMMARY_DPI = 150;
+  const SUMMARY_MARGIN = 15; // mm
+  // font size (mm), line height (font sizes) and colour per summary line style
+  const SUMMARY_STYLES = {
+    title: { size: 7, weight: "bold", family: "Cinzel, serif", height: 1.5, fill: "#111111" },
+    subtitle: { size: 3.8, height: 2, fill: "#444444" },
+    heading: { size: 4.4, weight: "bold", height: 2.1, fill: "#111111", rule: true },
+    item: { size: 3.8, height: 1.6, fill: "#222222" },
+    note: { size: 3.4, height: 1.6, fill: "#b91c1c" },
+  };
+
+  // page size and trim boxes in mm for warscrolls of the given aspect ratio (width / height)
+  function planPage(settings, aspect) {
+    const paper = PAPER[settings.paper] || PAPER.a4;
+    const grid = PER_PAGE[settings.perPage] || PER_PAGE[1];
+    const width = grid.landscape ? paper.h : paper.w;
+    const height = grid.landscape ? paper.w : paper.h;
+    // room each card needs around its trim box for bleed and crop marks
+    const space = settings.bleed + (settings.cropMarks ? CROP_MARK.offset + CROP_MARK.length : 0);
+    const margin = space + PAGE_MARGIN;
+    const gutter = Math.max(MIN_GUTTER, space * 2);
+    const cellW = (width - margin * 2 - gutter * (grid.cols - 1)) / grid.cols;
+    const cellH = (height - margin * 2 - gutter * (grid.rows - 1)) / grid.rows;
+    const w = Math.min(cellW, cellH * aspect);
+    const h = w / aspect;
+    const cells = [];
+    for (let row = 0; row < grid.rows; row++) {
+      for (let col = 0; col < grid.cols; col++) {
+        cells.push({
+          x: margin + col * (cellW + gutter) + (cellW - w) / 2,
+          y: margin + row * (cellH + gutter) + (cellH - h) / 2,
+          w,
+          h,
+        });
+      }
+    }
+    return { width, height, cells };
+  }
+
+  // two short lines outside each corner of the trim box, clear of the bleed
+  function drawCropMarks(page, cell, bleed) {
+    const { MM } = ns.pdf;
+    const gap = (bleed + CROP_MARK.offset) * MM;
+    const len = CROP_MARK.length * MM;
+    const left = cell.x * MM;
+    const top = cell.y * MM;
+    const right = (cell.x + cell.w) * MM;
+    const bottom = (cell.y + cell.h) * MM;
+    [top, bottom].forEach((y) => {
+      page.line(left - gap - len, y, left - gap, y);
+      page.line(right + gap, y, right + gap + len, y);
+    });
+    [left, right].forEach((x) => {
+      page.line(x, top - gap - len, x, top - gap);
+      page.line(x, bottom + gap, x, bottom + gap + len);
+    });
+  }
+
+  // summary pages as canvases of the (portrait) paper size; lines that don't fit go on the next page
+  function drawSummaryPages(summary, settings) {
+    const { fontCss, fitText } = ns.text;
+    const paper = PAPER[settings.paper] || PAPER.a4;
+    const px = SUMMARY_DPI / 25.4; // canvas pixels per mm
+    const margin = SUMMARY_MARGIN * px;
+    const width = Math.round(paper.w * px);
+    const height = Math.round(paper.h * px);
+    const pages = [];
+    let ctx = null;
+    let y = 0;
+
+    const newPage = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, width, height);
+      pages.push(canvas);
+      y = margin;
+    };
+
+    const line = ({ text, value, style }) => {
+      const st = SUMMARY_STYLES[style] || SUMMARY_STYLES.item;
+      const font = { size: st.size * px, weight: st.weight, family: st.family };
+      const lineHeight = font.size * st.height;
+      if (!ctx || y + lineHeight > height - margin) newPage();
+      const valueText = value == null ? "" : String(value);
+      ctx.font = fontCss(font);
+      ctx.fillStyle = st.fill;
+      ctx.textBaseline = "alphabetic";
+      const valueWidth = valueText ? ctx.measureText(valueText).width + font.size : 0;
+      const indent = style === "item" || style === "note" ? 4 * px : 0;
+      ctx.textAlign = "left";
+      ctx.fillText(fitText(text, font, width - margin * 2 - indent - valueWidth), margin + indent, y + font.size);
+      if (valueText) {
+        ctx.textAlign = "right";
+        ctx.fillText(valueText, width - margin, y + font.size);
+      }
+      if (st.rule) {
+        ctx.fillRect(margin, y + font.size * 1.35, width - margin * 2, Math.max(1, 0.3 * px));
+      }
+      y += lineHeight;
+    };
+
+    line({ text: summary.title, style: "title" });
+    if (summary.subtitle) line({ text: summary.subtitle, style: "subtitle" });
+    summary.lines.forEach(line);
+    return pages;
+  }
+
+  // warscrolls: [{ data, background, images }] with the images already loaded (see render.renderCanvas);
+  // sheet: { width, height } in sheet pixels and layoutOptions(data). Returns the PDF blob.
+  function createPrintPdf(warscrolls, settings, sheet) {
+    const doc = ns.pdf.createPdf();
+    addWarscrollPages(doc, warscrolls, { ...DEFAULT_SETTINGS, ...settings }, sheet);
+    return doc.toBlob();
+  }
+
+  // summary pages first, then the warscrolls as createPrintPdf() lays them out
+  function createRosterPdf(summary, warscrolls, settings, sheet) {
+    const { pdf } = ns;
+    const s = { ...DEFAULT_SETTINGS, ...settings };
+    const paper = PAPER[s.paper] || PAPER.a4;
+    const doc = pdf.createPdf();
+    drawSummaryPages(summary, s).forEach((canvas) => {
+      doc.addPage(paper.w * pdf.MM, paper.h * pdf.MM).image(pdf.canvasToJpeg(canvas), 0, 0, paper.w * pdf.MM, paper.h * pdf.MM);
+    });
+    if (warscrolls.length) addWarscrollPages(doc, warscrolls, s, sheet);
+    return doc.toBlob();
+  }
+
+  function addWarscrollPages(doc, warscrolls, s, sheet) {
+    const { pdf, render } = ns;
+    const plan = planPage(s, sheet.width / sheet.height);
+    const perPage = plan.cells.length;
+    // sheet pixels per mm of the printed card, and the pixel ratio that gives PRINT_DPI
+    const pxPerMm = sheet.width / plan.cells[0].w;
+    const scale = PRINT_DPI / 25.4 / pxPerMm;
+    // a full-page sheet tells the print shop where to cut
+    const first = plan.cells[0];
+    const pageOptions = perPage === 1 ? { trim: { x: first.x * pdf.MM, y: first.y * pdf.MM, w: first.w * pdf.MM, h: first.h * pdf.MM } } : {};
+
+    for (let start = 0; start < warscrolls.length; start += perPage) {
+      const page = doc.addPage(plan.width * pdf.MM, plan.height * pdf.MM, pageOptions);
+      warscrolls.slice(start, start + perPage).forEach(({ data, background, images }, i) => {
+        const cell = plan.cells[i];
+        const canvas = render.drawWarscrollCanvas(data, sheet.width, sheet.height, background, {
+          ...sheet.layoutOptions(data),
+          images,
+          scale,
+          bleed: s.bleed * pxPerMm,
+        });
+        page.image(
+          pdf.canvasToJpeg(canvas),
+          (cell.x - s.bleed) * pdf.MM,
+          (cell.y - s.bleed) * pdf.MM,
+          (cell.w + s.bleed * 2) * pdf.MM,
+          (cell.h + s.bleed * 2) * pdf.MM
+        );
+        if (s.cropMarks) drawCropMarks(page, cell, s.bleed);
+      });
+    }
+  }
+
+  ns.print = { PAPER, PER_PAGE, PRINT_DPI, DEFAULT_SETTINGS, planPage, createPrintPdf, createRosterPdf };
+})();
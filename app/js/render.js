@@ -0,0 +1,304 @@
+// Warscroll renderers (plain script, exposes window.Warscroll.render).
+// Both draw the display list from layout.computeLayout() without moving anything, so the SVG preview
+// and the exported PNG match glyph for glyph.
+// - renderSvg(layout, options) -> <svg> element (viewBox = sheet pixels); options.background: image URL
+// - renderCanvas(layout, options) -> <canvas>; options.background: loaded image, options.scale: pixel ratio,
+//   options.bleed: extra pixels on every side that the background is stretched into (print),
+//   options.images: { url: loaded image } for the layout's image items
+// - renderSvgFile(layout, options) -> standalone SVG text with background and fonts embedded (SVG export)
+// - drawWarscrollCanvas(data, width, height, bgImg, options) lays out and draws a warscroll in one go
+// - loadFonts() registers layout.FONT_FACES; wait for it before measuring or drawing
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+  const { computeLayout, FONT_FACES } = ns.layout;
+  const { fontCss, measure } = ns.text;
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const XLINK_NS = "http://www.w3.org/1999/xlink"; // xlink:href for viewers without SVG 2 href
+  const SHADOW = { color: "rgba(0,0,0,0.5)", blur: 2 };
+
+  let svgCount = 0; // keeps ids unique when several SVGs are on one page
+
+  function svgEl(tag, attrs, text) {
+    const e = document.createElementNS(SVG_NS, tag);
+    Object.keys(attrs).forEach((k) => {
+      if (attrs[k] == null) return;
+      if (k === "xlink:href") e.setAttributeNS(XLINK_NS, k, attrs[k]);
+      else e.setAttribute(k, attrs[k]);
+    });
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function fontAttrs(font) {
+    return {
+      "font-family": font.family || "sans-serif",
+      "font-size": font.size,
+      "font-weight": font.weight && font.weight !== "normal" ? font.weight : null,
+      "font-style": font.style && font.style !== "normal" ? font.style : null,
+    };
+  }
+
+  const ANCHORS = { left: "start", center: "middle", right: "end" };
+  const round = (n) => Math.round(n * 100) / 100;
+
+  // arc of `span` degrees centred on `angle`; clockwise unless reverse (SVG: 0deg right, y down)
+  function arcPath(item) {
+    const half = item.span / 2;
+    const from = item.reverse ? item.angle + half : item.angle - half;
+    const to = item.reverse ? item.angle - half : item.angle + half;
+    const point = (deg) => {
+      const rad = (deg * Math.PI) / 180;
+      return `${round(item.cx + item.r * Math.cos(rad))} ${round(item.cy + item.r * Math.sin(rad))}`;
+    };
+    return `M ${point(from)} A ${round(item.r)} ${round(item.r)} 0 0 ${item.reverse ? 0 : 1} ${point(to)}`;
+  }
+
+  function renderSvg(layout, options = {}) {
+    const id = `ws${++svgCount}`;
+    const svg = svgEl("svg", {
+      width: layout.width,
+      height: layout.height,
+      viewBox: `0 0 ${layout.width} ${layout.height}`,
+    });
+    svg.setAttributeNS("http://www.w3.org/2000/xmlns/", "xmlns:xlink", XLINK_NS);
+    const defs = svgEl("defs", {});
+    svg.appendChild(defs);
+    defs.appendChild(
+      svgEl("filter", { id: `${id}-shadow`, x: "-20%", y: "-20%", width: "140%", height: "140%" })
+    ).appendChild(svgEl("feDropShadow", { dx: 0, dy: 0, stdDeviation: SHADOW.blur / 2, "flood-color": "#000", "flood-opacity": 0.5 }));
+
+    if (options.background) {
+      svg.appendChild(svgEl("image", { "xlink:href": options.background, x: 0, y: 0, width: layout.width, height: layout.height, preserveAspectRatio: "none" }));
+    }
+
+    layout.items.forEach((item, idx) => {
+      if (item.type === "rect") {
+        svg.appendChild(
+          svgEl("rect", {
+            x: round(item.x),
+            y: round(item.y),
+            width: round(item.w),
+            height: round(item.h),
+            fill: item.fill || "none",
+            stroke: item.stroke,
+            "stroke-width": item.stroke ? item.lineWidth || 1 : null,
+          })
+        );
+      } else if (item.type === "circle") {
+        svg.appendChild(
+          svgEl("circle", {
+            cx: round(item.cx),
+            cy: round(item.cy),
+            r: round(item.r),
+            fill: item.fill || "none",
+            stroke: item.stroke,
+            "stroke-width": item.stroke ? item.lineWidth || 1 : null,
+          })
+        );
+      } else if (item.type === "text") {
+        svg.appendChild(
+          svgEl(
+            "text",
+            {
+              x: round(item.x),
+              y: round(item.y),
+              fill: item.fill,
+              "text-anchor": ANCHORS[item.align] || "start",
+              "dominant-baseline": item.baseline === "middle" ? "central" : null,
+              filter: item.shadow ? `url(#${id}-shadow)` : null,
+              "xml:space": "preserve",
+              ...fontAttrs(item.font),
+            },
+            item.text
+          )
+        );
+      } else if (item.type === "image") {
+        let clipPath = null;
+        if (item.clip) {
+          clipPath = `${id}-clip${idx}`;
+          const { x, y, w, h } = item.clip;
+          defs.appendChild(svgEl("clipPath", { id: clipPath })).appendChild(svgEl("rect", { x: round(x), y: round(y), width: round(w), height: round(h) }));
+        }
+        svg.appendChild(
+          svgEl("image", {
+            "xlink:href": item.src,
+            x: round(item.x),
+            y: round(item.y),
+            width: round(item.w),
+            height: round(item.h),
+            "clip-path": clipPath ? `url(#${clipPath})` : null,
+          })
+        );
+      } else if (item.type === "arcText") {
+        const pathId = `${id}-arc${idx}`;
+        defs.appendChild(svgEl("path", { id: pathId, d: arcPath(item) }));
+        const text = svgEl("text", { fill: item.fill, "text-anchor": "middle", "dominant-baseline": "central", ...fontAttrs(item.font) });
+        text.appendChild(svgEl("textPath", { "xlink:href": `#${pathId}`, startOffset: "50%" }, item.text));
+        svg.appendChild(text);
+      }
+    });
+    return svg;
+  }
+
+  // text along an arc, one glyph at a time (canvas has no textPath)
+  function drawArcText(ctx, item) {
+    const dir = item.reverse ? -1 : 1;
+    const chars = Array.from(item.text);
+    let angle = (item.angle * Math.PI) / 180 - (dir * measure(item.text, item.font)) / item.r / 2;
+    ctx.font = fontCss(item.font);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = item.fill;
+    chars.forEach((ch) => {
+      const half = ctx.measureText(ch).width / 2 / item.r;
+      angle += dir * half;
+      ctx.save();
+      ctx.translate(item.cx + item.r * Math.cos(angle), item.cy + item.r * Math.sin(angle));
+      ctx.rotate(angle + (dir * Math.PI) / 2);
+      ctx.fillText(ch, 0, 0);
+      ctx.restore();
+      angle += dir * half;
+    });
+  }
+
+  function renderCanvas(layout, options = {}) {
+    const scale = options.scale || window.devicePixelRatio || 1;
+    const bleed = options.bleed || 0;
+    const width = layout.width + bleed * 2;
+    const height = layout.height + bleed * 2;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.style.width = width + "px";
+    canvas.style.height = height + "px";
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+
+    // Draw background image if available, otherwise plain white
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+    if (options.background) {
+      try {
+        ctx.drawImage(options.background, 0, 0, width, height);
+      } catch (e) {
+        console.warn("Background could not be drawn", e);
+      }
+    }
+    ctx.translate(bleed, bleed);
+
+    layout.items.forEach((item) => {
+      if (item.type === "rect") {
+        if (item.fill) {
+          ctx.fillStyle = item.fill;
+          ctx.fillRect(item.x, item.y, item.w, item.h);
+        }
+        if (item.stroke) {
+          ctx.strokeStyle = item.stroke;
+          ctx.lineWidth = item.lineWidth || 1;
+          ctx.strokeRect(item.x, item.y, item.w, item.h);
+        }
+      } else if (item.type === "circle") {
+        ctx.beginPath();
+        ctx.arc(item.cx, item.cy, item.r, 0, Math.PI * 2);
+        if (item.fill) {
+          ctx.fillStyle = item.fill;
+          ctx.fill();
+        }
+        if (item.stroke) {
+          ctx.strokeStyle = item.stroke;
+          ctx.lineWidth = item.lineWidth || 1;
+          ctx.stroke();
+        }
+      } else if (item.type === "text") {
+        ctx.font = fontCss(item.font);
+        ctx.fillStyle = item.fill;
+        ctx.textAlign = item.align || "left";
+        ctx.textBaseline = item.baseline || "alphabetic";
+        if (item.shadow) {
+          ctx.shadowColor = SHADOW.color;
+          ctx.shadowBlur = SHADOW.blur;
+        }
+        ctx.fillText(item.text, item.x, item.y);
+        ctx.shadowBlur = 0;
+        ctx.shadowColor = "transparent";
+      } else if (item.type === "image") {
+        const img = options.images && options.images[item.src];
+        if (img) {
+          ctx.save();
+          if (item.clip) {
+            ctx.beginPath();
+            ctx.rect(item.clip.x, item.clip.y, item.clip.w, item.clip.h);
+            ctx.clip();
+          }
+          ctx.drawImage(img, item.x, item.y, item.w, item.h);
+          ctx.restore();
+        }
+      } else if (item.type === "arcText") {
+        drawArcText(ctx, item);
+      }
+    });
+    return canvas;
+  }
+
+  // read a file as a data: URL so it can be embedded into an exported document
+  async function fetchDataUrl(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`status ${res.status}`);
+    const blob = await res.blob();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // options.background: image URL; images that cannot be read are left out with a warning
+  async function renderSvgFile(layout, options = {}) {
+    const embed = (url) => fetchDataUrl(url).catch((e) => console.warn("Image not embedded:", url, e));
+    const background = options.background ? await embed(options.background) : null;
+    const items = await Promise.all(
+      layout.items.map(async (item) => (item.type === "image" ? { ...item, src: await embed(item.src) } : item))
+    );
+    const svg = renderSvg({ ...layout, items: items.filter((item) => item.type !== "image" || item.src) }, { background });
+    const faces = await Promise.all(
+      FONT_FACES.map((face) =>
+        fetchDataUrl(face.url)
+          .then((src) => `@font-face { font-family: "${face.family}"; font-weight: ${face.weight}; font-style: ${face.style}; src: url("${src}") format("woff2"); }`)
+          .catch((e) => console.warn("Font not embedded:", face.url, e))
+      )
+    );
+    const css = faces.filter(Boolean).join("\n");
+    if (css) svg.querySelector("defs").appendChild(svgEl("style", {}, css));
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+  }
+
+  let fontsPromise = null;
+  function loadFonts() {
+    if (!fontsPromise) {
+      fontsPromise =
+        window.FontFace && document.fonts
+          ? Promise.all(
+              FONT_FACES.map((face) =>
+                new FontFace(face.family, `url("${face.url}")`, { weight: face.weight, style: face.style })
+                  .load()
+                  .then((loaded) => document.fonts.add(loaded))
+                  .catch((e) => console.warn("Font not available:", face.url, e))
+              )
+            ).then(() => undefined)
+          : Promise.resolve();
+    }
+    return fontsPromise;
+  }
+
+  // width/height are in CSS pixels; the canvas uses devicePixelRatio for sharpness.
+  // options are passed to computeLayout ({ title, faction, labels, frame, ... }) plus scale, bleed and images for renderCanvas.
+  function drawWarscrollCanvas(data, width, height, bgImg = null, options = {}) {
+    const layout = computeLayout(data, { ...options, width, height });
+    return renderCanvas(layout, { background: bgImg, scale: options.scale, bleed: options.bleed, images: options.images });
+  }
+
+  ns.render = { renderSvg, renderSvgFile, renderCanvas, drawWarscrollCanvas, loadFonts };
+})();
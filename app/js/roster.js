@@ -0,0 +1,129 @@
+// Army rosters (plain script, exposes window.Warscroll.roster).
+// A roster picks warscrolls from the library (by library id) into regiments of one hero and its units
+// and is checked against the usual list-building rules. Rosters are small and kept in localStorage by
+// warscroll.js; this module only knows their shape and the rules.
+//
+// A roster: { id, name, faction, pointsLimit, general, regiments: [{ hero, units: [id] }] }
+// - faction: faction id; only warscrolls of that faction belong in the roster
+// - general: index of the regiment led by the general (it may take GENERAL_MAX_UNITS units)
+// - hero: library id of the regiment's leader, null while none is picked
+//
+// checkRoster(roster, entries) adds up the points and lists the rule violations; entries maps library ids to
+// unitInfo(data, keywords) of the stored warscrolls (ids missing from it were deleted from the library).
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const POINTS_LIMITS = [1000, 2000];
+  const MAX_REGIMENTS = 5;
+  const MAX_UNITS = 3; // per regiment besides its hero
+  const GENERAL_MAX_UNITS = 4;
+
+  function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  function createRoster() {
+    return { id: newId(), name: "", faction: "", pointsLimit: POINTS_LIMITS[1], general: 0, regiments: [createRegiment()] };
+  }
+
+  function createRegiment() {
+    return { hero: null, units: [] };
+  }
+
+  const isId = (v) => typeof v === "string" && v !== "";
+
+  // a roster read from storage with every field present and of the right type
+  function normalizeRoster(r) {
+    const base = createRoster();
+    const src = r && typeof r === "object" ? r : {};
+    const regiments = (Array.isArray(src.regiments) ? src.regiments : base.regiments).map((g) => ({
+      hero: g && isId(g.hero) ? g.hero : null,
+      units: g && Array.isArray(g.units) ? g.units.filter(isId) : [],
+    }));
+    const general = Number.isInteger(src.general) && src.general >= 0 && src.general < regiments.length ? src.general : 0;
+    return {
+      id: isId(src.id) ? src.id : base.id,
+      name: typeof src.name === "string" ? src.name : base.name,
+      faction: typeof src.faction === "string" ? src.faction : base.faction,
+      pointsLimit: POINTS_LIMITS.includes(src.pointsLimit) ? src.pointsLimit : base.pointsLimit,
+      general,
+      regiments,
+    };
+  }
+
+  const DEFAULT_KEYWORDS = { hero: ["HERO"], unique: ["UNIQUE"] };
+
+  // what the rules need to know about a stored warscroll (schema document or model data);
+  // keywords: { hero, unique } - the names of the two keywords in every language warscrolls are written in
+  function unitInfo(data, keywords = DEFAULT_KEYWORDS) {
+    const unit = (data && data.unit) || {};
+    const tags = ((data && data.keywords && data.keywords.unit) || []).map((k) => String(k).toUpperCase());
+    const has = (names) => names.some((n) => tags.includes(String(n).toUpperCase()));
+    const points = unit.points === "" || unit.points == null ? null : Number(unit.points);
+    return {
+      name: unit.name || "",
+      faction: (data && data.faction) || "",
+      points: Number.isFinite(points) ? points : null,
+      hero: has(keywords.hero || DEFAULT_KEYWORDS.hero),
+      unique: has(keywords.unique || DEFAULT_KEYWORDS.unique),
+    };
+  }
+
+  // library ids of a roster in print order: each regiment's hero, then its units; every id once
+  function rosterIds(roster) {
+    const ids = [];
+    roster.regiments.forEach((g) => [g.hero, ...g.units].forEach((id) => id && !ids.includes(id) && ids.push(id)));
+    return ids;
+  }
+
+  // { total, regiments: [points], issues: [{ code, level: "error" | "warning", params }] }
+  // issue params: regiment (1-based number) and name where they apply, plus the code's own values
+  function checkRoster(roster, entries) {
+    const issues = [];
+    const add = (code, params = {}, level = "error") => issues.push({ code, level, params });
+    const counted = {}; // id -> times picked, for UNIQUE
+    let total = 0;
+
+    if (roster.regiments.length > MAX_REGIMENTS) add("tooManyRegiments", { count: roster.regiments.length, max: MAX_REGIMENTS });
+
+    const regiments = roster.regiments.map((g, idx) => {
+      const regiment = idx + 1;
+      let points = 0;
+      const max = idx === roster.general ? GENERAL_MAX_UNITS : MAX_UNITS;
+      if (!g.hero) add("noHero", { regiment });
+      if (g.units.length > max) add("tooManyUnits", { regiment, count: g.units.length, max });
+      [g.hero, ...g.units].forEach((id, slot) => {
+        if (!id) return;
+        const info = entries[id];
+        if (!info) return add("missing", { regiment });
+        counted[id] = (counted[id] || 0) + 1;
+        if (slot === 0 && !info.hero) add("notHero", { regiment, name: info.name });
+        if (roster.faction && info.faction !== roster.faction) add("faction", { regiment, name: info.name });
+        if (info.points === null) add("noPoints", { regiment, name: info.name }, "warning");
+        else points += info.points;
+      });
+      total += points;
+      return points;
+    });
+
+    Object.keys(counted).forEach((id) => {
+      if (entries[id].unique && counted[id] > 1) add("unique", { name: entries[id].name, count: counted[id] });
+    });
+    if (total > roster.pointsLimit) add("overLimit", { total, limit: roster.pointsLimit });
+    return { total, regiments, issues };
+  }
+
+  ns.roster = {
+    POINTS_LIMITS,
+    MAX_REGIMENTS,
+    MAX_UNITS,
+    GENERAL_MAX_UNITS,
+    createRoster,
+    createRegiment,
+    normalizeRoster,
+    unitInfo,
+    rosterIds,
+    checkRoster,
+  };
+})();
@@ -0,0 +1,250 @@
+// Warscroll JSON file format (plain script, exposes window.Warscroll.schema).
+// The format is documented in docs/warscroll-format.md.
+//
+// - serialize(data, language) wraps a warscroll (see model.js) into a versioned document
+// - parse(text) reads a file: JSON -> migrate to the current version -> validate -> normalized data
+// - upgrade(stored) brings a stored document (library entry) to the current version without rejecting it
+//
+// Errors are { path, code, params } so the UI can translate them; path uses dots and [index]
+// (e.g. "weapons.melee[0].hit"). Codes: json, format, version, type, range, enum, and invalid / step for
+// characteristics (app/js/characteristics.js).
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const FORMAT = "aos-warscroll";
+  const CURRENT_VERSION = 6;
+
+  // migrations[n] turns a version n document into a version n + 1 document
+  const migrations = {
+    // version 0: library entries saved before the file format existed (bare warscroll, no wrapper)
+    0: (doc) => ({
+      format: FORMAT,
+      schemaVersion: 1,
+      language: null,
+      faction: doc.faction,
+      unit: doc.unit,
+      stats: doc.stats,
+      weapons: doc.weapons,
+      abilities: doc.abilities,
+      keywords: doc.keywords,
+    }),
+    // version 1 stored the faction's display name; version 2 stores its registry id (app/js/factions.js).
+    // Names that are not in the registry are kept as they are.
+    1: (doc) => ({
+      ...doc,
+      schemaVersion: 2,
+      faction: typeof doc.faction === "string" ? ns.factions.idFromName(doc.faction) || doc.faction : doc.faction,
+    }),
+    // version 3 also accepts dice expressions and "*" / "-" in characteristics; every version 2 value is still valid
+    2: (doc) => ({ ...doc, schemaVersion: 3 }),
+    // version 4 adds the damage table
+    3: (doc) => ({ ...doc, schemaVersion: 4, damageTable: [] }),
+    // version 5 lets texts carry translations into other languages; version 4 texts are in one language only
+    4: (doc) => ({ ...doc, schemaVersion: 5 }),
+    // version 6 adds the unit artwork; older warscrolls have none
+    5: (doc) => ({ ...doc, schemaVersion: 6, artwork: null }),
+  };
+
+  const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+  function versionOf(doc) {
+    if (doc.format === FORMAT && Number.isInteger(doc.schemaVersion)) return doc.schemaVersion;
+    if (doc.format === undefined && doc.schemaVersion === undefined && ("unit" in doc || "stats" in doc || "weapons" in doc)) return 0;
+    return null;
+  }
+
+  // language: written when the warscroll doesn't say which language its texts are in
+  function serialize(data, language) {
+    const d = ns.model.normalizeWarscroll(data);
+    return {
+      format: FORMAT,
+      schemaVersion: CURRENT_VERSION,
+      language: d.language || language || null,
+      faction: d.faction,
+      unit: d.unit,
+      stats: d.stats,
+      weapons: d.weapons,
+      abilities: d.abilities,
+      keywords: d.keywords,
+      damageTable: d.damageTable,
+      artwork: d.artwork,
+    };
+  }
+
+  // returns { doc, errors }; doc is null when the document cannot be migrated
+  function migrate(doc) {
+    if (!isObject(doc)) return { doc: null, errors: [{ path: "", code: "type", params: { expected: "object" } }] };
+    let version = versionOf(doc);
+    if (version === null) return { doc: null, errors: [{ path: "format", code: "format", params: { expected: FORMAT } }] };
+    if (version > CURRENT_VERSION) {
+      return { doc: null, errors: [{ path: "schemaVersion", code: "version", params: { found: version, supported: CURRENT_VERSION } }] };
+    }
+    let current = doc;
+    while (version < CURRENT_VERSION) {
+      current = migrations[version](current);
+      version += 1;
+    }
+    return { doc: current, errors: [] };
+  }
+
+  // field-level validation of a current-version document; returns a list of errors
+  function validate(doc) {
+    const errors = [];
+    const fail = (path, code, params) => errors.push({ path, code, params: params || {} });
+    const join = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+    const string = (value, path) => {
+      if (typeof value !== "string") fail(path, "type", { expected: "string" });
+    };
+    // numbers are integers >= min (and <= max); "" means "not set"
+    const number = (value, path, min, max) => {
+      if (value === "") return;
+      if (typeof value !== "number" || !Number.isFinite(value)) return fail(path, "type", { expected: "number" });
+      if (value < min || (max !== undefined && value > max)) fail(path, "range", { min, max: max === undefined ? "∞" : max });
+    };
+    // missing fields are allowed and read as empty
+    const object = (value, path, fields) => {
+      if (!isObject(value)) return fail(path, "type", { expected: "object" });
+      Object.keys(fields).forEach((key) => {
+        if (value[key] !== undefined) fields[key](value[key], join(path, key));
+      });
+    };
+    const array = (value, path, item) => {
+      if (!Array.isArray(value)) return fail(path, "type", { expected: "array" });
+      value.forEach((v, i) => item(v, join(path, i)));
+    };
+    const oneOf = (allowed) => (value, path) => {
+      if (!allowed.includes(value)) fail(path, "enum", { allowed: allowed.filter(Boolean).join(", ") });
+    };
+    const count = (v, p) => number(v, p, 0);
+    // characteristics: "" or whatever characteristics.parse accepts for the key
+    const characteristic = (key) => (value, path) => {
+      if (value === "") return;
+      const error = ns.characteristics.check(key, value);
+      if (error) fail(path, error.code, error.params);
+    };
+    const strings = (v, p) => array(v, p, string);
+    // translations of a part's texts: { <language>: { field: text } }
+    const translations = (fields) => (value, path) => {
+      if (!isObject(value)) return fail(path, "type", { expected: "object" });
+      Object.keys(value).forEach((language) => object(value[language], join(path, language), fields));
+    };
+    const characteristics = (keys) => keys.reduce((fields, key) => ({ ...fields, [key]: characteristic(key) }), {});
+
+    const weapon = (kind) => (value, path) =>
+      object(value, path, {
+        name: string,
+        ...characteristics(ns.model.WEAPON_FIELDS[kind]),
+        abilities: strings,
+        translations: translations({ name: string, abilities: strings }),
+      });
+
+    if (!isObject(doc)) {
+      fail("", "type", { expected: "object" });
+      return errors;
+    }
+    if (doc.format !== FORMAT) fail("format", "format", { expected: FORMAT });
+    if (doc.schemaVersion !== CURRENT_VERSION) fail("schemaVersion", "version", { found: doc.schemaVersion, supported: CURRENT_VERSION });
+    object(doc, "", {
+      language: (v, p) => v !== null && string(v, p),
+      faction: string,
+      unit: (v, p) =>
+        object(v, p, {
+          name: string,
+          subtitle: string,
+          modelCount: count,
+          baseSize: string,
+          points: count,
+          translations: translations({ name: string, subtitle: string }),
+        }),
+      stats: (v, p) => object(v, p, characteristics(["move", "health", "save", "control"])),
+      weapons: (v, p) =>
+        object(v, p, {
+          ranged: (list, lp) => array(list, lp, weapon("ranged")),
+          melee: (list, lp) => array(list, lp, weapon("melee")),
+        }),
+      abilities: (v, p) =>
+        array(v, p, (value, path) =>
+          object(value, path, {
+            name: string,
+            timing: oneOf(ns.model.ABILITY_TIMINGS.map((t) => t.id)),
+            usage: oneOf(ns.model.ABILITY_USAGES),
+            declare: string,
+            effect: string,
+            keywords: strings,
+            translations: translations({ name: string, declare: string, effect: string, keywords: strings }),
+          })
+        ),
+      keywords: (v, p) =>
+        object(v, p, {
+          unit: strings,
+          faction: strings,
+          translations: translations({ unit: strings, faction: strings }),
+        }),
+      damageTable: (v, p) =>
+        array(v, p, (row, rp) =>
+          object(row, rp, {
+            wounds: string,
+            // values are read like the characteristic they stand in for
+            values: (values, vp) => {
+              if (!isObject(values)) return fail(vp, "type", { expected: "object" });
+              Object.keys(values).forEach((ref) => {
+                const key = ns.model.refKey(ref);
+                if (!ns.characteristics.RULES[key]) return fail(join(vp, ref), "enum", { allowed: Object.keys(ns.characteristics.RULES).join(", ") });
+                characteristic(key)(values[ref], join(vp, ref));
+              });
+            },
+          })
+        ),
+      artwork: (v, p) =>
+        v !== null &&
+        object(v, p, {
+          image: (image, ip) => {
+            if (typeof image !== "string" || !image.startsWith("data:image/")) fail(ip, "type", { expected: "data:image URL" });
+          },
+          width: (n, np) => number(n, np, 1),
+          height: (n, np) => number(n, np, 1),
+          x: (n, np) => number(n, np, 0, 1),
+          y: (n, np) => number(n, np, 0, 1),
+          zoom: (n, np) => number(n, np, ns.model.ARTWORK_ZOOM.min, ns.model.ARTWORK_ZOOM.max),
+        }),
+    });
+    return errors;
+  }
+
+  // read a file's text; returns { data, language, errors, migratedFrom }; data is null when errors exist
+  function parse(text) {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      return { data: null, language: null, errors: [{ path: "", code: "json", params: { message: e.message } }] };
+    }
+    const from = isObject(raw) ? versionOf(raw) : null;
+    const { doc, errors } = migrate(raw);
+    if (!doc) return { data: null, language: null, errors };
+    const invalid = validate(doc);
+    if (invalid.length) return { data: null, language: null, errors: invalid };
+    return {
+      data: ns.model.normalizeWarscroll(doc),
+      language: doc.language || null,
+      errors: [],
+      migratedFrom: from !== CURRENT_VERSION ? from : null,
+    };
+  }
+
+  // stored documents are trusted: migrate and normalize, but don't reject on validation errors
+  function upgrade(stored) {
+    const { doc, errors } = migrate(stored);
+    if (!doc) {
+      console.warn("Stored warscroll could not be upgraded", errors);
+      return ns.model.createWarscroll();
+    }
+    const invalid = validate(doc);
+    if (invalid.length) console.warn("Stored warscroll has invalid fields", invalid);
+    return ns.model.normalizeWarscroll(doc);
+  }
+
+  ns.schema = { FORMAT, CURRENT_VERSION, serialize, migrate, validate, parse, upgrade };
+})();
@@ -0,0 +1,62 @@
+// Shareable links (plain script, exposes window.Warscroll.share).
+// A link carries a whole warscroll document (schema.serialize: faction, stats, content and language) in the
+// URL fragment, so it never reaches a server:
+//
+//   #w=<base64url of the deflate-raw compressed JSON>
+//
+// - encode(doc) -> Promise<fragment text without "#">
+// - decode(hash) -> Promise<JSON text> (read it with schema.parse); null when the hash is no warscroll link,
+//   rejects when the link is damaged
+// Compression uses the browser's CompressionStream.
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const PREFIX = "w=";
+
+  // run bytes through a CompressionStream / DecompressionStream and collect the output
+  async function transform(bytes, stream) {
+    const writer = stream.writable.getWriter();
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+    const reader = stream.readable.getReader();
+    const chunks = [];
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+    }
+    const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+    let offset = 0;
+    chunks.forEach((c) => {
+      out.set(c, offset);
+      offset += c.length;
+    });
+    return out;
+  }
+
+  function toBase64Url(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  }
+
+  async function encode(doc) {
+    const bytes = new TextEncoder().encode(JSON.stringify(doc));
+    return PREFIX + toBase64Url(await transform(bytes, new CompressionStream("deflate-raw")));
+  }
+
+  async function decode(hash) {
+    const fragment = String(hash || "").replace(/^#/, "");
+    if (!fragment.startsWith(PREFIX)) return null;
+    const bytes = await transform(fromBase64Url(fragment.slice(PREFIX.length)), new DecompressionStream("deflate-raw"));
+    return new TextDecoder().decode(bytes);
+  }
+
+  ns.share = { encode, decode };
+})();
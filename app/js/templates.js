@@ -0,0 +1,123 @@
+// Sheet templates (plain script, exposes window.Warscroll.templates).
+// Uploaded backgrounds / frame templates together with their calibration. Images don't fit into
+// localStorage, so templates live in IndexedDB; every function returns a promise like the library.
+//
+// A template: { id, name, image (JPEG data: URL), width, height, frame: { circle, content }, modified }
+// - frame.circle { cx, cy, r } and frame.content { x, y, w, h } are fractions of the sheet, as in
+//   layout.DEFAULT_FRAME; frameOf(template) completes them with the default header and keyword boxes
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const DB_NAME = "aos-templates";
+  const STORE_NAME = "templates";
+  const MAX_SIDE = 1200; // px; uploads are scaled down so preview and export stay at a sensible size
+  const JPEG_QUALITY = 0.9;
+
+  let dbPromise = null;
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) return reject(new Error("IndexedDB not available"));
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // run one request against the object store and resolve with its result once the transaction completes
+  function idb(mode, fn) {
+    return openDb().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(STORE_NAME, mode);
+          const req = fn(tx.objectStore(STORE_NAME));
+          tx.oncomplete = () => resolve(req ? req.result : undefined);
+          tx.onerror = () => reject(tx.error);
+        })
+    );
+  }
+
+  function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  const clamp = (v, min, max) => Math.min(max, Math.max(min, Number(v) || 0));
+
+  // calibration with every value inside the sheet; missing parts fall back to the default frame
+  function normalizeFrame(frame) {
+    const defaults = ns.layout.DEFAULT_FRAME;
+    const circle = { ...defaults.circle, ...((frame && frame.circle) || {}) };
+    const content = { ...defaults.content, ...((frame && frame.content) || {}) };
+    const x = clamp(content.x, 0, 1);
+    const y = clamp(content.y, 0, 1);
+    return {
+      circle: { cx: clamp(circle.cx, 0, 1), cy: clamp(circle.cy, 0, 1), r: clamp(circle.r, 0.01, 0.5) },
+      content: { x, y, w: clamp(content.w, 0.01, 1 - x), h: clamp(content.h, 0.01, 1 - y) },
+    };
+  }
+
+  // full layout frame of a template: its calibrated circle and content area, the default header and keywords
+  function frameOf(template) {
+    return { ...ns.layout.DEFAULT_FRAME, ...normalizeFrame(template && template.frame) };
+  }
+
+  // templates sorted by name, without loading anything else
+  async function list() {
+    const all = (await idb("readonly", (store) => store.getAll())) || [];
+    return all.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async function load(id) {
+    return (await idb("readonly", (store) => store.get(id))) || null;
+  }
+
+  // insert or update; resolves with the stored template
+  async function save(template) {
+    const stored = { ...template, id: template.id || newId(), frame: normalizeFrame(template.frame), modified: Date.now() };
+    await idb("readwrite", (store) => store.put(stored));
+    return stored;
+  }
+
+  async function remove(id) {
+    await idb("readwrite", (store) => store.delete(id));
+  }
+
+  // new (unsaved) template from an image file: scaled down to MAX_SIDE, flattened onto white, default calibration
+  function fromFile(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        const ratio = Math.min(1, MAX_SIDE / Math.max(img.naturalWidth, img.naturalHeight));
+        const width = Math.round(img.naturalWidth * ratio);
+        const height = Math.round(img.naturalHeight * ratio);
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "#ffffff";
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(img, 0, 0, width, height);
+        resolve({
+          name: file.name.replace(/\.[^.]+$/, "") || file.name,
+          image: canvas.toDataURL("image/jpeg", JPEG_QUALITY),
+          width,
+          height,
+          frame: normalizeFrame(null),
+        });
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`Not an image: ${file.name}`));
+      };
+      img.src = url;
+    });
+  }
+
+  ns.templates = { list, load, save, remove, fromFile, frameOf, normalizeFrame };
+})();
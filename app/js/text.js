@@ -0,0 +1,273 @@
+// Text layout (plain script, exposes window.Warscroll.text).
+// Measures, breaks and fits the texts of a warscroll for app/js/layout.js, so both renderers get lines
+// that are already positioned run by run.
+//
+// - markup: **bold** and *italic* (e.g. keywords in ability texts); a marker without its partner is
+//   printed as it is. parseMarkup(text) -> [{ text, bold, italic }], plainText(text) drops the markers
+// - hyphenation: long words are broken at their syllables when they don't fit (German, see hyphenate()),
+//   at soft hyphens (U+00AD) and after hyphens; other languages break at soft hyphens and hyphens only,
+//   a word longer than a whole line at any letter
+// - layoutLines(text, font, maxWidth, options) -> [{ width, runs: [{ text, font, x }] }], x relative to the line
+// - shrinkFont(text, font, maxWidth, minSize) -> the font at the largest size (down to minSize) text fits in
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+
+  const SANS = '"Open Sans", sans-serif';
+  const SOFT_HYPHEN = "\u00ad";
+  const MIN_HYPHEN_WORD = 6; // shorter words are never hyphenated
+  const MIN_HEAD = 2; // letters before / after a hyphenation point
+  const MIN_TAIL = 3;
+
+  // --- measuring (one offscreen canvas shared by every layout) ---
+
+  let measureCtx = null;
+  function fontCss(font) {
+    return `${font.style || "normal"} ${font.weight || "normal"} ${font.size}px ${font.family || SANS}`;
+  }
+
+  function measure(text, font) {
+    if (!measureCtx) measureCtx = document.createElement("canvas").getContext("2d");
+    measureCtx.font = fontCss(font);
+    return measureCtx.measureText(String(text)).width;
+  }
+
+  // shorten text with an ellipsis until it fits maxWidth
+  function fitText(text, font, maxWidth) {
+    let s = plainText(text);
+    if (measure(s, font) <= maxWidth) return s;
+    while (s.length > 1 && measure(s + "…", font) > maxWidth) s = s.slice(0, -1);
+    return s + "…";
+  }
+
+  function shrinkFont(text, font, maxWidth, minSize = 6) {
+    const fitted = { ...font };
+    while (fitted.size > minSize && measure(plainText(text), fitted) > maxWidth) fitted.size -= 1;
+    return fitted;
+  }
+
+  // --- markup ---
+
+  function parseMarkup(text) {
+    const parts = String(text || "").split(/(\*\*|\*)/);
+    // a marker only counts if it has a partner: with an odd number the last one is plain text
+    const counts = { "**": 0, "*": 0 };
+    parts.forEach((p) => p in counts && counts[p]++);
+    const lastOf = (marker) => parts.lastIndexOf(marker);
+    const literal = new Set(Object.keys(counts).filter((m) => counts[m] % 2).map(lastOf));
+
+    const runs = [];
+    const style = { bold: false, italic: false };
+    parts.forEach((part, idx) => {
+      if (part in counts && !literal.has(idx)) {
+        if (part === "**") style.bold = !style.bold;
+        else style.italic = !style.italic;
+        return;
+      }
+      if (!part) return;
+      const last = runs[runs.length - 1];
+      if (last && last.bold === style.bold && last.italic === style.italic) last.text += part;
+      else runs.push({ text: part, ...style });
+    });
+    return runs;
+  }
+
+  const plainText = (text) =>
+    parseMarkup(text)
+      .map((r) => r.text)
+      .join("")
+      .replace(/\u00ad/g, "");
+
+  // --- hyphenation ---
+
+  const VOWEL = /[aeiouyäöü]/;
+  // consonant groups that are never split (ck moves to the next syllable as a whole: "Zu-cker")
+  const CONSONANT_UNITS = ["sch", "ch", "ck", "ph", "th"];
+  // beginnings of a syllable that keep their consonants together after a compound joint ("Sturm-krieger")
+  const ONSETS = ["schr", "schl", "schw", "pr", "br", "tr", "dr", "kr", "gr", "fr", "pl", "bl", "kl", "gl", "fl", "str", "spr"];
+
+  // split a run of consonants into units (sch, ch, ck, ph, th or single letters)
+  function consonantUnits(cluster) {
+    const units = [];
+    for (let i = 0; i < cluster.length; ) {
+      const unit = CONSONANT_UNITS.find((u) => cluster.startsWith(u, i)) || cluster[i];
+      units.push(unit);
+      i += unit.length;
+    }
+    return units;
+  }
+
+  // hyphenation points of one German word (offsets into word); a rule of thumb, not a dictionary:
+  // one consonant between two vowels starts the next syllable, of several only the last one does,
+  // unless the last ones form a syllable onset after a joint ("Himmels-rich-tung", "Sturm-krie-ger")
+  function germanBreaks(word) {
+    // punctuation around the word ("(Sturmkrieger),") is not part of it
+    const [, before, core] = /^([^a-zäöüß]*)([a-zäöüß]*)[^a-zäöüß]*$/i.exec(word) || [];
+    if (!core || core.length < MIN_HYPHEN_WORD) return [];
+    const lower = core.toLowerCase();
+    const breaks = [];
+    const nucleus = /[aeiouyäöü]+/g;
+    let m = nucleus.exec(lower);
+    while (m) {
+      const end = m.index + m[0].length;
+      const next = nucleus.exec(lower);
+      if (!next) break;
+      const cluster = lower.slice(end, next.index);
+      if (cluster) {
+        const units = consonantUnits(cluster);
+        let keep = 1;
+        if (units.length >= 3) {
+          const onset = ONSETS.find((o) => cluster.endsWith(o) && o.length < cluster.length);
+          if (onset) keep = consonantUnits(onset).length;
+        }
+        breaks.push(end + units.slice(0, units.length - keep).join("").length);
+      }
+      m = next;
+    }
+    return breaks.filter((b) => b >= MIN_HEAD && core.length - b >= MIN_TAIL && VOWEL.test(lower.slice(0, b))).map((b) => before.length + b);
+  }
+
+  // hyphenation points of a word: [{ at, hyphen }] where the head is word.slice(0, at) and hyphen tells
+  // whether a "-" has to be drawn after it. Soft hyphens replace the automatic points.
+  function hyphenate(word, language) {
+    const points = [];
+    let offset = 0;
+    word.split(/(?<=-)/).forEach((part, idx, parts) => {
+      const bare = part.replace(/-$/, "");
+      if (bare.includes(SOFT_HYPHEN)) {
+        let at = offset;
+        bare.split(SOFT_HYPHEN).forEach((piece, n, pieces) => {
+          at += piece.length + (n > 0 ? 1 : 0);
+          if (n < pieces.length - 1) points.push({ at: at + 1, hyphen: true });
+        });
+      } else if (String(language || "").split("-")[0] === "de") {
+        germanBreaks(bare).forEach((b) => points.push({ at: offset + b, hyphen: true }));
+      }
+      offset += part.length;
+      if (idx < parts.length - 1) points.push({ at: offset, hyphen: false });
+    });
+    return points;
+  }
+
+  // --- line breaking ---
+
+  const runFont = (font, run) => ({
+    ...font,
+    weight: run.bold ? "bold" : font.weight,
+    style: run.italic ? "italic" : font.style,
+  });
+
+  // words of a paragraph as lists of styled pieces ("**HERO**es" is one word of two pieces)
+  function splitWords(runs) {
+    const words = [[]];
+    runs.forEach((run) => {
+      run.text.split(" ").forEach((chunk, idx) => {
+        if (idx > 0) words.push([]);
+        if (chunk) words[words.length - 1].push({ text: chunk, bold: run.bold, italic: run.italic });
+      });
+    });
+    return words.filter((w) => w.length);
+  }
+
+  const wordText = (pieces) => pieces.map((p) => p.text).join("");
+
+  // pieces of word between the character offsets from and to
+  function slicePieces(pieces, from, to = Infinity) {
+    const out = [];
+    let offset = 0;
+    pieces.forEach((p) => {
+      const start = Math.max(from - offset, 0);
+      const end = Math.min(to - offset, p.text.length);
+      if (end > start) out.push({ ...p, text: p.text.slice(start, end) });
+      offset += p.text.length;
+    });
+    return out;
+  }
+
+  const visible = (pieces) => pieces.map((p) => ({ ...p, text: p.text.replace(/\u00ad/g, "") })).filter((p) => p.text);
+
+  function piecesWidth(pieces, font) {
+    return visible(pieces).reduce((sum, p) => sum + measure(p.text, runFont(font, p)), 0);
+  }
+
+  // the longest head of word (with its hyphen) that fits width: { head, tail } or null
+  function breakWord(pieces, font, width, language, force) {
+    const text = wordText(pieces);
+    const points = hyphenate(text, language).reverse();
+    for (const p of points) {
+      const head = slicePieces(pieces, 0, p.at);
+      if (p.hyphen) {
+        const last = head[head.length - 1];
+        head[head.length - 1] = { ...last, text: last.text.replace(/\u00ad$/, "") + "-" };
+      }
+      if (piecesWidth(head, font) <= width) return { head, tail: slicePieces(pieces, p.at) };
+    }
+    if (!force) return null;
+    // no hyphenation point fits: cut at the last letter that does (at least one, so lines always advance)
+    const letters = Array.from(text);
+    let at = Math.max(1, letters.length - 1);
+    while (at > 1 && piecesWidth(slicePieces(pieces, 0, letters.slice(0, at).join("").length), font) > width) at--;
+    const cut = letters.slice(0, at).join("").length;
+    return { head: slicePieces(pieces, 0, cut), tail: slicePieces(pieces, cut) };
+  }
+
+  // merge the pieces of a line into runs of one style, positioned from the left
+  function toLine(words, font) {
+    const runs = [];
+    words.forEach((pieces, idx) => {
+      // the space between two words belongs to the run before it
+      if (idx > 0 && runs.length) runs[runs.length - 1].text += " ";
+      visible(pieces).forEach((p) => {
+        const last = runs[runs.length - 1];
+        if (last && last.bold === p.bold && last.italic === p.italic) last.text += p.text;
+        else runs.push({ text: p.text, bold: p.bold, italic: p.italic });
+      });
+    });
+    let x = 0;
+    const positioned = runs.map((r) => {
+      const run = { text: r.text, font: runFont(font, r), x };
+      x += measure(r.text, run.font);
+      return run;
+    });
+    return { width: x, runs: positioned };
+  }
+
+  // options: { language (hyphenation), markup (default true) }; line breaks in the text start a new line
+  function layoutLines(text, font, maxWidth, options = {}) {
+    const { language = null, markup = true } = options;
+    const lines = [];
+    String(text || "")
+      .split("\n")
+      .forEach((paragraph) => {
+        const runs = markup ? parseMarkup(paragraph) : [{ text: paragraph, bold: false, italic: false }];
+        let line = [];
+        const push = () => {
+          lines.push(toLine(line, font));
+          line = [];
+        };
+        splitWords(runs).forEach((word) => {
+          let rest = word;
+          for (;;) {
+            const candidate = [...line, rest];
+            if (toLine(candidate, font).width <= maxWidth) {
+              line = candidate;
+              return;
+            }
+            const used = line.length ? toLine(line, font).width + measure(" ", font) : 0;
+            const long = wordText(rest).length >= MIN_HYPHEN_WORD || !line.length;
+            const split = long && breakWord(rest, font, maxWidth - used, language, !line.length);
+            if (split && split.head.length) {
+              line.push(split.head);
+              rest = split.tail;
+            }
+            if (!rest.length) return;
+            push();
+          }
+        });
+        push();
+      });
+    return lines;
+  }
+
+  ns.text = { SOFT_HYPHEN, fontCss, measure, fitText, shrinkFont, parseMarkup, plainText, hyphenate, layoutLines };
+})();
@@ -0,0 +1,169 @@
+// Text exports (plain script, exposes window.Warscroll.textExport).
+// The whole warscroll as text for Discord and forum posts, with the labels the preview uses (quarter labels,
+// weapon columns, timings, ...), so it reads in the selected language:
+// - markdown: tables for stats, weapons and the damage table; **bold** / *italic* of ability texts kept
+// - bbcode: [table] / [b] / [i] as most forum software reads them
+// - text: aligned columns; written so that pasting it back (app/js/paste.js) reads every field again
+//
+// exportText(format, data, options) -> string; data as given to computeLayout (texts already localized),
+// options: { title, faction, labels } as in layout.computeLayout()
+
+(function () {
+  const ns = (window.Warscroll = window.Warscroll || {});
+  const { WEAPON_FIELDS, variableCharacteristics } = ns.model;
+  const { format: formatCharacteristic } = ns.characteristics;
+  const { abilityTimingText, unitMetaText, damageColumnLabel } = ns.layout;
+  const { parseMarkup, plainText } = ns.text;
+
+  const FORMATS = ["markdown", "bbcode", "text"];
+
+  // stats in the order they are read out: MOVE, HEALTH, SAVE, CONTROL
+  const STAT_QUARTERS = [
+    { stat: "move", label: "top" },
+    { stat: "health", label: "left" },
+    { stat: "save", label: "right" },
+    { stat: "control", label: "bottom" },
+  ];
+
+  const value = (key, v) => formatCharacteristic(key, v) || "-";
+
+  // the warscroll as format-neutral parts: header lines, tables, abilities and keywords
+  function collect(data, options) {
+    const labels = options.labels || {};
+    const quarters = labels.quarters || {};
+    const weapons = labels.weapons || {};
+    const tables = [];
+    ["ranged", "melee"].forEach((kind) => {
+      const rows = (data.weapons && data.weapons[kind]) || [];
+      if (!rows.length) return;
+      tables.push({
+        head: [weapons[kind] || kind, ...WEAPON_FIELDS[kind].map((f) => weapons[f] || f), weapons.abilities || ""],
+        rows: rows.map((w) => [w.name || "-", ...WEAPON_FIELDS[kind].map((f) => value(f, w[f])), w.abilities.length ? w.abilities.join(", ") : "-"]),
+      });
+    });
+    const columns = variableCharacteristics(data);
+    if (data.damageTable.length && columns.length) {
+      tables.push({
+        head: [(labels.damageTable || {}).wounds || "", ...columns.map((c) => damageColumnLabel(c, labels))],
+        rows: data.damageTable.map((row) => [row.wounds || "-", ...columns.map((c) => value(c.key, (row.values || {})[c.ref]))]),
+      });
+    }
+    const abilityLabels = labels.abilities || {};
+    return {
+      title: options.title || data.unit.name,
+      subtitle: data.unit.subtitle,
+      meta: unitMetaText(data.unit, options.faction || "", labels.unit || {}),
+      stats: {
+        head: STAT_QUARTERS.map((q) => quarters[q.label] || q.stat),
+        row: STAT_QUARTERS.map((q) => value(q.stat, data.stats[q.stat])),
+      },
+      tables,
+      abilities: data.abilities.map((a) => ({
+        banner: abilityTimingText(a, abilityLabels),
+        name: a.name,
+        texts: [
+          [abilityLabels.declare || "declare", a.declare],
+          [abilityLabels.effect || "effect", a.effect],
+        ].filter(([, text]) => text),
+        keywords: a.keywords.length ? [abilityLabels.keywords || "keywords", a.keywords.join(", ")] : null,
+      })),
+      keywords: { label: (labels.keywords || {}).bar || "KEYWORDS", unit: data.keywords.unit.join(", "), faction: data.keywords.faction.join(", ") },
+    };
+  }
+
+  // --- Markdown ---
+
+  const mdCell = (text) => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+  // names, banners and keywords are plain text: characters Markdown would read as emphasis, headings,
+  // quotes, links or code are escaped
+  const mdText = (text) => String(text).replace(/[\\`*_#>[\]|]/g, "\\$&");
+
+  function mdTable(head, rows) {
+    return [head, head.map(() => "---"), ...rows].map((cells) => `| ${cells.map(mdCell).join(" | ")} |`).join("\n");
+  }
+
+  function markdown(doc) {
+    const blocks = [`# ${mdText(doc.title)}`];
+    if (doc.subtitle) blocks.push(`*${mdText(doc.subtitle)}*`);
+    if (doc.meta) blocks.push(mdText(doc.meta));
+    blocks.push(mdTable(doc.stats.head, [doc.stats.row]));
+    doc.tables.forEach((table) => blocks.push(mdTable(table.head, table.rows)));
+    doc.abilities.forEach((a) => {
+      blocks.push(`### ${mdText(a.name)}\n*${mdText(a.banner)}*`);
+      // markup of ability texts is Markdown already; one paragraph per line of text
+      a.texts.forEach(([label, text]) => blocks.push(`**${label}:** ${text.split("\n").join("\n\n")}`));
+      if (a.keywords) blocks.push(`*${mdText(a.keywords[0])}:* ${mdText(a.keywords[1])}`);
+    });
+    if (doc.keywords.unit) blocks.push(`**${mdText(doc.keywords.label)}** ${mdText(doc.keywords.unit)}`);
+    if (doc.keywords.faction) blocks.push(mdText(doc.keywords.faction));
+    return blocks.join("\n\n") + "\n";
+  }
+
+  // --- BBCode ---
+
+  function bbMarkup(text) {
+    return parseMarkup(text)
+      .map((run) => {
+        let s = run.text;
+        if (run.italic) s = `[i]${s}[/i]`;
+        if (run.bold) s = `[b]${s}[/b]`;
+        return s;
+      })
+      .join("");
+  }
+
+  function bbTable(head, rows) {
+    const row = (cells, tag) => `[tr]${cells.map((c) => `[${tag}]${c}[/${tag}]`).join("")}[/tr]`;
+    return `[table]\n${[row(head, "th"), ...rows.map((r) => row(r, "td"))].join("\n")}\n[/table]`;
+  }
+
+  function bbcode(doc) {
+    const blocks = [`[size=150][b]${doc.title}[/b][/size]`];
+    if (doc.subtitle) blocks.push(`[i]${doc.subtitle}[/i]`);
+    if (doc.meta) blocks.push(doc.meta);
+    blocks.push(bbTable(doc.stats.head, [doc.stats.row]));
+    doc.tables.forEach((table) => blocks.push(bbTable(table.head, table.rows)));
+    doc.abilities.forEach((a) => {
+      const lines = [`[b]${a.name}[/b] - [i]${a.banner}[/i]`];
+      a.texts.forEach(([label, text]) => lines.push(`[b]${label}:[/b] ${bbMarkup(text)}`));
+      if (a.keywords) lines.push(`[i]${a.keywords[0]}:[/i] ${a.keywords[1]}`);
+      blocks.push(lines.join("\n"));
+    });
+    const keywords = [doc.keywords.unit && `[b]${doc.keywords.label}[/b] ${doc.keywords.unit}`, doc.keywords.faction].filter(Boolean);
+    if (keywords.length) blocks.push(keywords.join("\n"));
+    return blocks.join("\n\n") + "\n";
+  }
+
+  // --- plain text ---
+
+  // columns padded to their widest cell
+  function textTable(head, rows) {
+    const all = [head, ...rows];
+    const widths = head.map((_, i) => Math.max(...all.map((cells) => String(cells[i]).length)));
+    return all.map((cells) => cells.map((c, i) => (i < cells.length - 1 ? String(c).padEnd(widths[i]) : c)).join("  ")).join("\n");
+  }
+
+  function text(doc) {
+    const blocks = [[doc.title, doc.subtitle, doc.meta].filter(Boolean).join("\n")];
+    blocks.push(doc.stats.head.map((label, i) => `${label} ${doc.stats.row[i]}`).join("  "));
+    doc.tables.forEach((table) => blocks.push(textTable(table.head, table.rows)));
+    doc.abilities.forEach((a) => {
+      const lines = [a.banner, a.name];
+      a.texts.forEach(([label, t]) => lines.push(`${label}: ${plainText(t)}`));
+      if (a.keywords) lines.push(`${a.keywords[0]}: ${a.keywords[1]}`);
+      blocks.push(lines.join("\n"));
+    });
+    const keywords = [doc.keywords.unit && `${doc.keywords.label} ${doc.keywords.unit}`, doc.keywords.faction].filter(Boolean);
+    if (keywords.length) blocks.push(keywords.join("\n"));
+    return blocks.join("\n\n") + "\n";
+  }
+
+  const WRITERS = { markdown, bbcode, text };
+
+  function exportText(format, data, options = {}) {
+    if (!WRITERS[format]) throw new Error(`Unknown text format: ${format}`);
+    return WRITERS[format](collect(data, options));
+  }
+
+  ns.textExport = { FORMATS, exportText };
+})();
@@ -1,43 +1,141 @@
 // Vanilla JS Warscroll generator (no React, no html2canvas).
-// - Loads local translations from app/js/localization/{de,en}.json
+// - Loads the translations from app/js/localization/<language>.json (app/js/i18n.js); the language
+//   switch offers every language file found there
 // - Renders UI in #root
 // - Draws PNG directly with canvas (no external libs required)
 //
-// Updated: inputs validated and formatted:
-// - MOVE: accepts numbers >= 0, step 0.5; displayed as inches with a trailing double-quote (e.g. 6 or 6.5 -> 6")
-// - SAVE: accepts integers >= 0, displayed with a trailing plus sign (e.g. 4 -> 4+)
-// - HEALTH and CONTROL: integers >= 0
+// Characteristics (core stats and weapon profiles) are read and formatted by app/js/characteristics.js:
+// - MOVE / RANGE in inches, half inch steps (6 or 5.5 -> 6", 5.5"); SAVE / HIT / WOUND as rolls (4 or 4+ -> 4+)
+// - dice expressions for ATTACKS and DAMAGE (D3, D6+1, 2D6), "*" for variable values, "-" for none (REND 0 too)
+// - input the parser can't read keeps the previous value and shows why next to the field
 // - Empty input is allowed (treated as "none")
 //
-// The SVG preview and the exported PNG use the same formatting.
+// Weapons: ranged and melee tables, edited in rows (add / reorder / remove).
+//
+// Abilities: name, timing, usage limit, declare/effect text and keywords.
+// - rendered as blocks with a banner coloured by the phase of their timing
+// - declare / effect texts take **bold** and *italic* (app/js/text.js); long German words are hyphenated, and
+//   the content shrinks to fit the sheet with a warning above the preview when it can't
+//
+// Unit identity (name, subtitle, unit size, base size, points) is laid out in the header band.
+//
+// Artwork: an uploaded picture of the unit, scaled down so it is stored with the warscroll (app/js/artwork.js),
+// zoomed and positioned inside a frame at the top right of the content area; weapons and abilities beside it
+// are narrowed. The preview and every export draw it; shared links leave it out.
+//
+// Texts in several languages: a warscroll's texts are written in one language (its `language`); with the
+// flags switched to another language the editors show and edit the translations (app/js/model.js),
+// missing ones are highlighted, and the preview and every export use the texts of the selected language.
+//
+// Keywords: unit keywords and faction keywords, drawn (wrapped) in the keywords strip at the bottom.
+//
+// Damage table: rows of wounds suffered with a column for every characteristic set to "*", drawn below the weapons.
+//
+// Points estimate: a suggested cost with its breakdown (app/js/points.js); the weights come from
+// data/points-weights.json and can be edited as JSON in the app (kept in localStorage).
+//
+// Expected damage: a panel next to the preview averages every weapon (and the unit) against saves 2+ to "-"
+// (app/js/mathhammer.js), from the same snapshot the preview draws.
+//
+// Undo / redo: every edit is a step in the edit history (app/js/history.js), a typing burst in one field
+// counts as one step; buttons next to the language switch and Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y).
+// Switching the language keeps the history, opening another warscroll starts a new one.
+//
+// Text exports: Markdown (tables), BBCode and plain text of the whole warscroll for Discord and forums
+// (app/js/textexport.js), with the labels of the selected language; copied to the clipboard next to Save.
+//
+// Share link: the open warscroll (with its language) compressed into the URL fragment (app/js/share.js);
+// opening such a link imports it as a new library entry before the first render. No server involved.
+//
+// Library: the open warscroll autosaves into a local library (app/js/library.js) and is reopened on reload.
+//
+// Rosters: library warscrolls of one faction grouped into regiments (a hero and its units) against a
+// 1000 / 2000 points limit, with the list-building rules checked (app/js/roster.js); printed as a summary
+// page followed by the warscrolls, with the print sheet settings of the library.
+// Export JSON / Import JSON use the versioned file format in app/js/schema.js (docs/warscroll-format.md).
+//
+// Paste text: a warscroll copied as plain text (PDF, forum post) in any of the app's languages is read into
+// its fields (app/js/paste.js); every line is listed with the field it went into, lines that could not be
+// placed are highlighted and have to be confirmed before the result opens as a new library entry.
+//
+// Preview and PNG export draw the same layout (app/js/layout.js): the SVG and canvas renderers in
+// app/js/render.js only paint the positioned boxes and glyphs, so the export matches the preview exactly.
+//
+// Sheet templates: an uploaded background (app/js/templates.js) replaces the faction background; its stat
+// circle and content area are calibrated by clicking / dragging on the preview and used by every export.
+//
+// Layouts: the classic full page, a compact poker card and a landscape spearhead card (app/js/layouts.js),
+// picked above the preview; the preview and every export (print sheets and rosters too) use the one picked.
+// Sheet templates belong to the classic layout, the others draw their own sheet.
 
 (function () {
   const ROOT = document.getElementById("root");
   if (!ROOT) return console.error("No #root element found");
 
   const TRANSLATION_PATH = "/app/js/localization"; // relative to site root; adjust if needed
+  const POINTS_WEIGHTS_PATH = "/data/points-weights.json"; // default weights of the points estimate
   const BACKGROUND_IMAGE = "/data/img/warscroll.jpg"; // shared warscroll background
   const LANG_KEY = "language";
+  const CURRENT_KEY = "currentWarscroll"; // library id of the open warscroll
+  const PRINT_KEY = "printSettings"; // last used print sheet settings
+  const ROSTERS_KEY = "rosters"; // army rosters (app/js/roster.js)
+  const CURRENT_ROSTER_KEY = "currentRoster"; // id of the roster shown in the roster panel
+  const POINTS_KEY = "pointsWeights"; // points weights edited in the app
+  const TEMPLATE_KEY = "sheetTemplate"; // id of the uploaded sheet template in use
+  const LAYOUT_KEY = "sheetLayout"; // id of the layout template in use (app/js/layouts.js)
+  const AUTOSAVE_DELAY = 600; // ms after the last edit
+  const HISTORY_COALESCE = 1000; // ms between keystrokes that still count as the same undo step
 
   const DEFAULT_EXPORT_SIZE = { width: 800, height: 1100 };
 
-  // helper: load both translation files
-  async function loadTranslations() {
-    const langs = ["de", "en"];
-    const res = {};
-    await Promise.all(
-      langs.map(async (l) => {
-        try {
-          const r = await fetch(`${TRANSLATION_PATH}/${l}.json`, { cache: "no-cache" });
-          if (!r.ok) throw new Error(`status ${r.status}`);
-          res[l] = await r.json();
-        } catch (e) {
-          console.warn("Could not load", l, e);
-          res[l] = {};
-        }
-      })
-    );
-    return res;
+  // warscroll data model shared with the other modules (app/js/model.js)
+  const {
+    WEAPON_FIELDS,
+    ABILITY_TIMINGS,
+    ABILITY_USAGES,
+    createStats,
+    createUnit,
+    createWeapon,
+    createAbility,
+    createKeywords,
+    createDamageRow,
+    ARTWORK_ZOOM,
+    normalizeWarscroll,
+    localizeWarscroll,
+    missingTranslations,
+    translatedText,
+    TEXT_FIELDS,
+    variableCharacteristics,
+    weaponRef,
+  } = window.Warscroll.model;
+
+  // one layout for the SVG preview and the canvas export (app/js/layout.js, app/js/render.js)
+  const { abilityColour, computeLayout, damageColumnLabel } = window.Warscroll.layout;
+  const { renderSvg, renderSvgFile, drawWarscrollCanvas, loadFonts } = window.Warscroll.render;
+
+  // default points weights; an empty config (no estimate) if the file is missing
+  async function loadPointsWeights() {
+    try {
+      const r = await fetch(POINTS_WEIGHTS_PATH, { cache: "no-cache" });
+      if (!r.ok) throw new Error(`status ${r.status}`);
+      return await r.json();
+    } catch (e) {
+      console.warn("Could not load points weights", e);
+      return {};
+    }
+  }
+
+  // the warscroll of a shared link in the URL fragment, read like an imported file:
+  // { data, language, errors }; data is null when there is no link or it can't be read
+  async function readSharedLink() {
+    const { share, schema } = window.Warscroll;
+    try {
+      const text = await share.decode(window.location.hash);
+      if (text === null) return { data: null, language: null, errors: [] };
+      return schema.parse(text);
+    } catch (e) {
+      return { data: null, language: null, errors: [{ path: "", code: "link", params: { message: e.message } }] };
+    }
   }
 
   // load an image and return a promise that resolves with the HTMLImageElement
@@ -50,16 +148,15 @@
     });
   }
 
+  // the stored choice, else the browser's languages; the first one with a translation file wins
   function getInitialLang() {
-    const stored = localStorage.getItem(LANG_KEY);
-    if (stored) return stored;
-    const nav = navigator.language || navigator.userLanguage || "en";
-    return nav.startsWith("de") ? "de" : "en";
+    const { i18n } = window.Warscroll;
+    return i18n.match([localStorage.getItem(LANG_KEY), ...(navigator.languages || []), navigator.language]);
   }
 
   function setDocumentLang(lang) {
     try {
-      document.documentElement.lang = lang === "de" ? "de" : "en";
+      document.documentElement.lang = lang;
     } catch (_) {}
   }
 
@@ -71,7 +168,7 @@
       else if (k === "html") e.innerHTML = attrs[k];
       else if (k.startsWith("on") && typeof attrs[k] === "function")
         e.addEventListener(k.slice(2).toLowerCase(), attrs[k]);
-      else e.setAttribute(k, attrs[k]);
+      else if (attrs[k] != null && attrs[k] !== false) e.setAttribute(k, attrs[k]);
     }
     (Array.isArray(children) ? children : [children]).forEach((c) => {
       if (c == null) return;
@@ -81,571 +178,2358 @@
     return e;
   }
 
-  // Format a stat for display: move -> 6" , save -> 4+ , others -> plain number
-  function formatStatForDisplay(key, rawValue) {
-    if (rawValue == null || rawValue === "") return "";
-    // rawValue may be string or number
-    if (key === "move") {
-      const n = Number(rawValue);
-      if (Number.isNaN(n) || n < 0) return "";
-      // Trim trailing .0
-      const s = n % 1 === 0 ? String(n) : String(n).replace(/\.0+$/, "");
-      return s + '"';
-    }
-    if (key === "save") {
-      const n = parseInt(rawValue, 10);
-      if (Number.isNaN(n) || n < 0) return "";
-      return String(n) + "+";
-    }
-    // health, control
-    const n = parseInt(rawValue, 10);
-    if (Number.isNaN(n) || n < 0) return "";
-    return String(n);
+  // file name for downloads derived from the unit name
+  function fileSlug(name) {
+    const slug = String(name || "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "");
+    return slug || "warscroll";
   }
 
-  // draw a simple warscroll to a canvas and return it
-  // width/height are in CSS pixels. The actual canvas uses devicePixelRatio for sharpness.
-  // stats: { move, health, save, control } optional - drawn in the quarters.
-  function drawWarscrollCanvas(title, width, height, bgImg = null, stats = {}) {
-    const dpr = window.devicePixelRatio || 1;
-    const canvas = document.createElement("canvas");
-    canvas.width = Math.round(width * dpr);
-    canvas.height = Math.round(height * dpr);
-    canvas.style.width = width + "px";
-    canvas.style.height = height + "px";
-    const ctx = canvas.getContext("2d");
-    ctx.scale(dpr, dpr);
-
-    // Draw background image if available, otherwise plain white
-    if (bgImg) {
-      try {
-        ctx.drawImage(bgImg, 0, 0, width, height);
-      } catch (e) {
-        ctx.fillStyle = "#ffffff";
-        ctx.fillRect(0, 0, width, height);
+  function downloadBlob(blob, fileName) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  // Normalize a unit count (models, points): empty stays empty, everything else becomes an integer >= 0.
+  function sanitizeCount(v) {
+    if (v === "" || v == null) return "";
+    const n = parseInt(v, 10);
+    if (Number.isNaN(n)) return "";
+    return Math.max(0, n);
+  }
+
+  // build the app UI (language buttons, faction select, preview, save)
+  async function bootstrap() {
+    const { library, schema, factions, templates, layouts, characteristics, share, i18n, textExport, roster: rosters } = window.Warscroll;
+    const { t } = i18n;
+    await i18n.load(TRANSLATION_PATH);
+    const defaultWeights = await loadPointsWeights();
+    // read before anything is drawn: a shared link also brings the language it was made in
+    const sharedLink = await readSharedLink();
+    let lang = i18n.setLanguage(i18n.has(sharedLink.language) ? sharedLink.language : getInitialLang());
+    setDocumentLang(lang);
+
+    // a section of the translations (labels of one editor), merged over the fallback languages
+    const section = (key) => i18n.get(key) || {};
+
+    // backgrounds and emblems by URL, loaded once on first use; missing images resolve with null
+    const imageCache = {};
+    function loadCachedImage(url) {
+      if (!imageCache[url]) {
+        imageCache[url] = loadImage(url).catch((err) => {
+          console.warn("Image not available:", err);
+          return null;
+        });
       }
-    } else {
-      ctx.fillStyle = "#ffffff";
-      ctx.fillRect(0, 0, width, height);
-    }
-
-    // decorative border
-    ctx.strokeStyle = "#222";
-    ctx.lineWidth = 4;
-    ctx.strokeRect(12, 12, width - 24, height - 24);
-
-    // title
-    ctx.fillStyle = "#111";
-    const titleFontSize = Math.max(18, Math.round(width * 0.035)); // scale font a bit with width
-    ctx.font = `${titleFontSize}px serif`;
-    ctx.textAlign = "center";
-    ctx.textBaseline = "top";
-    const titleY = 36;
-    wrapText(ctx, title, width / 2, titleY, width - 80, titleFontSize + 6);
-
-    // draw the quarter numbers on the same positions as the SVG overlay uses
-    // compute circle geometry using same heuristics
-    const cx = Math.round(width * 0.157);   // same as preview heuristic
-    const cy = Math.round(height * 0.105);
-    const circleRadius = Math.round(Math.min(width, height) * 0.12);
-    const numberRadius = Math.max(8, circleRadius * 0.45); // radial distance from center to number
-
-    ctx.fillStyle = "#ffffff";
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-
-    const numberFontSize = Math.max(12, Math.round(circleRadius * 0.4));
-    ctx.font = `${numberFontSize}px sans-serif`;
-    ctx.shadowColor = "rgba(0,0,0,0.5)";
-    ctx.shadowBlur = 2;
-
-    // helper to draw a stat number at angle (deg) with formatting
-    function drawStatAtAngle(angleDeg, key) {
-      const raw = stats[key];
-      const formatted = formatStatForDisplay(key, raw);
-      if (!formatted) return;
-      const rad = (angleDeg * Math.PI) / 180;
-      const nx = cx + numberRadius * Math.cos(rad);
-      const ny = cy + numberRadius * Math.sin(rad);
-      ctx.fillText(formatted, nx, ny);
-    }
-
-    // angles: top = 270, left = 180, right = 0, bottom = 90 (consistent with SVG)
-    drawStatAtAngle(270, "move");
-    drawStatAtAngle(180, "health");
-    drawStatAtAngle(0,   "save");
-    drawStatAtAngle(90,  "control");
-
-    // placeholder content (stats/abilities)
-    const bodyFontSize = Math.max(12, Math.round(width * 0.02));
-    ctx.font = `${bodyFontSize}px sans-serif`;
-    ctx.textAlign = "left";
-    ctx.fillStyle = "#333";
-    const contentStart = Math.round(titleY + titleFontSize + 16);
-    const lineHeight = Math.round(bodyFontSize * 1.5);
-    const sample = [
-      "Unit Type: Custom",
-      "Move: " + (formatStatForDisplay("move", stats.move) || "-"),
-      "Wounds: " + (formatStatForDisplay("health", stats.health) || "-"),
-      "Save: " + (formatStatForDisplay("save", stats.save) || "-"),
-      "Control: " + (formatStatForDisplay("control", stats.control) || "-"),
-      "",
-      "Abilities:",
-      "- Example ability 1",
-      "- Example ability 2",
-    ];
-    sample.forEach((line, idx) => {
-      ctx.fillText(line, 48, contentStart + idx * lineHeight);
-    });
+      return imageCache[url];
+    }
+    // start loading the default background image (don't await immediately)
+    loadCachedImage(BACKGROUND_IMAGE);
 
-    // remove shadow for other drawing
-    ctx.shadowBlur = 0;
+    // sheet background of a faction: its own image if the registry has one, else the shared one
+    function backgroundUrl(factionId) {
+      const faction = factions.get(factionId);
+      return (faction && faction.background) || BACKGROUND_IMAGE;
+    }
 
-    return canvas;
-  }
+    // translated faction name; unknown ids and names from before the registry are shown as they are
+    function factionName(id) {
+      const known = factions.get(id) || factions.get(factions.idFromName(id));
+      if (!known) return id || "";
+      return i18n.get(`factions.${known.id}`) || known.name;
+    }
+
+    // Keep current stats in a small object so we can pass them to render/export
+    const stats = createStats();
+
+    // unit identity shown in the header
+    const unit = createUnit();
+
+    // weapon profiles, one list per table
+    const weapons = { ranged: [], melee: [] };
+
+    // unit abilities in warscroll order
+    const abilities = [];
+
+    // unit and faction keywords for the keywords strip
+    const keywords = createKeywords();
+
+    // damage table rows for the characteristics set to "*"
+    const damageTable = [];
+
+    // picture of the unit with its placement in the artwork frame (app/js/artwork.js), null for none
+    let artwork = null;
+
+    // language the texts of the open warscroll are written in; other languages are translations
+    let contentLanguage = lang;
+
+    // --- texts in the UI language: the original when it is the content language, else the translation ---
+    const translating = () => lang !== contentLanguage;
+
+    // language name in the UI language ("German"), else as the language file names itself
+    function languageName(code) {
+      try {
+        const name = new Intl.DisplayNames([lang], { type: "language" }).of(code);
+        if (name && name !== code) return name;
+      } catch (_) {}
+      return (i18n.languages().find((l) => l.code === code) || { name: code }).name;
+    }
+
+    // text of a field as edited: a string, or the live tag list (a new empty one while not translated)
+    function textValue(part, field) {
+      const text = translatedText(part, field, lang, contentLanguage);
+      return text !== null ? text : Array.isArray(part[field]) ? [] : "";
+    }
+
+    function isMissing(part, field) {
+      return translating() && part[field].length > 0 && translatedText(part, field, lang, contentLanguage) === null;
+    }
 
-  // simple word wrap helper for canvas text
-  function wrapText(ctx, text, x, y, maxWidth, lineHeight) {
-    const words = (text || "").split(" ");
-    let line = "";
-    for (let n = 0; n < words.length; n++) {
-      const testLine = line + (line ? " " : "") + words[n];
-      const metrics = ctx.measureText(testLine);
-      const testWidth = metrics.width;
-      if (testWidth > maxWidth && n > 0) {
-        ctx.fillText(line, x, y);
-        line = words[n];
-        y += lineHeight;
+    // store a text in the UI language; an emptied translation is removed (counts as missing again)
+    function setText(part, field, value) {
+      if (!translating()) {
+        part[field] = value;
+        return;
+      }
+      const translations = (part.translations = part.translations || {});
+      const texts = (translations[lang] = translations[lang] || {});
+      if (value.length) texts[field] = value;
+      else delete texts[field];
+      if (!Object.keys(texts).length) delete translations[lang];
+      if (!Object.keys(translations).length) delete part.translations;
+    }
+
+    // highlight a field whose translation is missing; the tooltip shows the original text
+    function markMissing(node, part, field) {
+      const missing = isMissing(part, field);
+      node.classList.toggle("missing-translation", missing);
+      if (missing) {
+        const original = Array.isArray(part[field]) ? part[field].join(", ") : part[field];
+        node.title = t("content.missingField", { language: languageName(contentLanguage), text: original });
       } else {
-        line = testLine;
+        node.removeAttribute("title");
       }
     }
-    ctx.fillText(line, x, y);
-  }
 
-  // convert polar angle (deg) to cartesian point (SVG coords: 0deg to the right, positive clockwise)
-  function polarToCartesian(cx, cy, radius, angleDeg) {
-    const rad = (angleDeg * Math.PI) / 180;
-    const x = cx + radius * Math.cos(rad);
-    const y = cy + radius * Math.sin(rad);
-    return { x, y };
-  }
+    // text input (or textarea) for a field in the UI language; onChange gets the typed value
+    function makeTextInput(tag, part, field, attrs, onChange) {
+      const input = el(tag, {
+        ...attrs,
+        oninput: (e) => {
+          setText(part, field, e.target.value);
+          markMissing(input, part, field);
+          onChange(e.target.value);
+        },
+      });
+      input.value = textValue(part, field);
+      if (translating()) input.placeholder = part[field];
+      markMissing(input, part, field);
+      return input;
+    }
 
-  // create an SVG arc path string for an arc from startAngle to endAngle (degrees)
-  // This implementation computes delta properly and sets the large-arc and sweep flags.
-  function arcPathD(cx, cy, radius, startAngle, endAngle) {
-    const start = polarToCartesian(cx, cy, radius, startAngle);
-    const end = polarToCartesian(cx, cy, radius, endAngle);
-    // compute delta in [0,360)
-    let delta = ((endAngle - startAngle) % 360 + 360) % 360;
-    const largeArcFlag = delta > 180 ? 1 : 0;
-    // Sweep flag: 1 draws arc in positive-angle direction (clockwise) when delta>0 && delta<=180
-    const sweepFlag = delta > 0 && delta <= 180 ? 1 : 0;
-    return `M ${start.x.toFixed(2)} ${start.y.toFixed(2)} A ${radius} ${radius} 0 ${largeArcFlag} ${sweepFlag} ${end.x.toFixed(2)} ${end.y.toFixed(2)}`;
-  }
+    // tag list for a field in the UI language; a missing translation shows the original tags as placeholder
+    function makeTextTags(part, field, suggestionsId, placeholder, onChange) {
+      const tags = textValue(part, field);
+      const hint = isMissing(part, field) ? part[field].join(", ") : placeholder;
+      const wrap = makeTagInput(tags, suggestionsId, hint, () => {
+        setText(part, field, tags);
+        markMissing(wrap, part, field);
+        onChange();
+      });
+      markMissing(wrap, part, field);
+      return wrap;
+    }
 
-  // render quarter labels as SVG overlay inside previewInner
-  // quarters: { top, left, right, bottom } labels
-  // stats: { move, health, save, control } numbers to display centered in quarters
-  function renderQuarterLabels(previewInner, previewBox, imgWidth, imgHeight, quarters, stats = {}) {
-    // Remove existing overlay if any
-    const existing = previewInner.querySelector(".quarter-labels-overlay");
-    if (existing) existing.remove();
-
-    // Create SVG overlay sized to preview box
-    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-    svg.setAttribute("class", "quarter-labels-overlay");
-    svg.setAttribute("width", "100%");
-    svg.setAttribute("height", "100%");
-    svg.setAttribute("viewBox", `0 0 ${imgWidth} ${imgHeight}`);
-    svg.setAttribute("preserveAspectRatio", "xMinYMin meet");
-    svg.style.position = "absolute";
-    svg.style.left = "0";
-    svg.style.top = "0";
-    svg.style.pointerEvents = "none"; // let mouse events pass through
-    svg.style.overflow = "visible";
-
-    // Estimate circle center and radius relative to image size.
-    const cx = Math.round(imgWidth * 0.157);   // ~15.7% from left
-    const cy = Math.round(imgHeight * 0.105);  // ~10.5% from top
-    const circleRadius = Math.round(Math.min(imgWidth, imgHeight) * 0.12); // ~12% of smaller dimension
-
-    // text radius: place curved labels near rim
-    const textRadius = Math.max(12, circleRadius * 0.70);
-
-    // number radius: where the numeric stat is placed (closer to center than label)
-    const numberRadius = Math.max(8, circleRadius * 0.40);
-
-    // create defs and 4 path elements, one per quarter
-    const defs = document.createElementNS(svg.namespaceURI, "defs");
-
-    // Quarter definitions: right=0, bottom=90, left=180, top=270
-    // reverse for bottom/left so text reads upright
-    const quartersSpecs = [
-      { id: "q-right",  centerAngle: 0,   label: quarters.right  || "", reverse: false },
-      { id: "q-bottom", centerAngle: 90,  label: quarters.bottom || "", reverse: true  },
-      { id: "q-left",   centerAngle: 180, label: quarters.left   || "", reverse: false  },
-      { id: "q-top",    centerAngle: 270, label: quarters.top    || "", reverse: false },
-    ];
-
-    quartersSpecs.forEach((spec) => {
-      const startAngle = spec.centerAngle - 45;
-      const endAngle = spec.centerAngle + 45;
-      const pathD = spec.reverse
-        ? arcPathD(cx, cy, textRadius, endAngle, startAngle)
-        : arcPathD(cx, cy, textRadius, startAngle, endAngle);
-
-      const path = document.createElementNS(svg.namespaceURI, "path");
-      path.setAttribute("id", spec.id);
-      path.setAttribute("d", pathD);
-      defs.appendChild(path);
-    });
+    // a warscroll without any text yet is written in the language it is first filled in
+    function hasTexts() {
+      const parts = [[unit, "unit"], [keywords, "keywords"], ...abilities.map((a) => [a, "ability"])];
+      ["ranged", "melee"].forEach((kind) => weapons[kind].forEach((w) => parts.push([w, "weapon"])));
+      return parts.some(([part, kind]) => TEXT_FIELDS[kind].some((field) => part[field].length));
+    }
 
-    svg.appendChild(defs);
-
-    // Add curved text labels using textPath (white)
-    quartersSpecs.forEach((spec) => {
-      const text = document.createElementNS(svg.namespaceURI, "text");
-      text.setAttribute("fill", "#ffffff");
-      text.setAttribute("font-weight", "700");
-      const fontSize = Math.max(10, Math.round(circleRadius * 0.15));
-      text.setAttribute("font-size", fontSize);
-      text.setAttribute("text-anchor", "middle");
-      text.setAttribute("dominant-baseline", "middle");
-      const textPath = document.createElementNS(svg.namespaceURI, "textPath");
-      textPath.setAttribute("href", `#${spec.id}`);
-      textPath.setAttribute("startOffset", "50%");
-      textPath.textContent = (spec.label || "").toString();
-
-      // Nudge the bottom label slightly inward so it sits inside the rim (kept small)
-      if (spec.id === "q-bottom") {
-        const angleRad = (spec.centerAngle * Math.PI) / 180;
-        const offset = circleRadius * 0.99; // small inward offset
-        const tx = (-Math.cos(angleRad) * offset).toFixed(2);
-        const ty = (-Math.sin(angleRad) * offset).toFixed(2);
-        text.setAttribute("transform", `translate(${tx} ${ty})`);
-      }
+    // the language the texts are written in, and how many are not translated into the UI language yet
+    const contentStatus = el("p", { className: "content-language hidden", role: "status" });
 
-      text.appendChild(textPath);
-      svg.appendChild(text);
-    });
+    function renderContentStatus() {
+      contentStatus.classList.toggle("hidden", !translating());
+      if (!translating()) return;
+      const count = missingTranslations(snapshot(), lang).length;
+      const languages = { original: languageName(contentLanguage), language: languageName(lang) };
+      contentStatus.textContent = `${t("content.translating", languages)} ${t("content.missing", { count })}`;
+      contentStatus.classList.toggle("incomplete", count > 0);
+    }
 
-    // Add stat numbers as upright centered text elements (not on path) so they sit neatly in quarters
-    // angles: top=270, left=180, right=0, bottom=90
-    const statsMap = [
-      { angle: 270, key: "move" },
-      { angle: 180, key: "health" },
-      { angle: 0,   key: "save" },
-      { angle: 90,  key: "control" },
-    ];
-
-    statsMap.forEach((s) => {
-      const raw = stats[s.key];
-      const formatted = formatStatForDisplay(s.key, raw);
-      if (!formatted) return;
-      const p = polarToCartesian(cx, cy, numberRadius, s.angle);
-      const numEl = document.createElementNS(svg.namespaceURI, "text");
-      numEl.setAttribute("x", p.x.toFixed(2));
-      numEl.setAttribute("y", p.y.toFixed(2));
-      numEl.setAttribute("fill", "#ffffff");
-      numEl.setAttribute("font-weight", "700");
-      const numFontSize = Math.max(12, Math.round(circleRadius * 0.3));
-      numEl.setAttribute("font-size", numFontSize);
-      numEl.setAttribute("text-anchor", "middle");
-      numEl.setAttribute("dominant-baseline", "middle");
-      numEl.textContent = formatted;
-      svg.appendChild(numEl);
-    });
+    // unit identity labels for the editor and the header meta line
+    function unitLabels() {
+      return section("unit");
+    }
 
-    // append overlay to previewInner
-    previewInner.appendChild(svg);
-  }
+    // big header text: the unit name, or "Warscroll of <faction>" while no name is entered
+    // data: any warscroll, the open one by default
+    function headerTitle(data = { unit, faction: factionSelect.value }) {
+      if (data.unit.name.trim()) return data.unit.name.trim();
+      const f = factionName(data.faction);
+      return f ? t("warscrollOf", { faction: f }) : "";
+    }
 
-  // build the app UI (language buttons, faction select, preview, save)
-  async function bootstrap() {
-    const translations = await loadTranslations();
-    let lang = getInitialLang();
-    setDocumentLang(lang);
+    // weapon table labels for the editor, the preview and the export
+    function weaponLabels() {
+      return section("weapons");
+    }
 
-    // start loading background image (don't await immediately)
-    let bgImage = null;
-    let bgLoadPromise = loadImage(BACKGROUND_IMAGE)
-      .then((img) => {
-        bgImage = img;
-        return img;
-      })
-      .catch((err) => {
-        console.warn("Background image not available:", err);
-        bgImage = null;
-        return null;
-      });
+    // keyword editor labels and the strip label
+    function keywordLabels() {
+      return section("keywords");
+    }
 
-    // Keep current stats in a small object so we can pass them to render/export
-    const stats = { move: "", health: "", save: "", control: "" };
+    // tooltips of the up / down / remove buttons shared by all list editors
+    function actionLabels() {
+      return section("actions");
+    }
+
+    // ability labels for the editor, the preview and the export (timings/usages keyed by id)
+    function abilityLabels() {
+      return { ...section("abilities"), timings: section("timings"), usages: section("usages") };
+    }
 
     // container layout
     const container = el("div", { className: "controls", style: "max-width:900px;margin:20px auto;box-sizing:border-box;padding:10 12px;" });
 
-    // language switch
-    const langSwitch = el("div", { className: "language-switch", role: "navigation", "aria-label": "Language switch" });
-    ["de", "en"].forEach((l) => {
+    // language switch: one button per loaded language file (name and flag from its "language" entry)
+    const langSwitch = el("div", { className: "language-switch", role: "navigation", "aria-label": t("languageSwitch") });
+    i18n.languages().forEach(({ code, name, flag }) => {
       const btn = el(
         "button",
         {
-          className: `language-button ${lang === l ? "active" : ""}`,
-          title: l === "de" ? "Deutsch" : "English",
+          className: `language-button ${lang === code ? "active" : ""}`,
+          title: name,
+          lang: code,
           type: "button",
+          "data-lang": code,
           onclick: () => {
-            lang = l;
-            localStorage.setItem(LANG_KEY, l);
-            setDocumentLang(l);
-            // update active states and UI text
-            [...langSwitch.children].forEach((c) => c.classList.remove("active"));
-            btn.classList.add("active");
-            rootLabel.textContent = translations[lang]?.chooseFaction || (lang === "de" ? "Fraktion wählen" : "Choose faction");
-            saveBtn.textContent = translations[lang]?.saveAsPng || (lang === "de" ? "Speichern" : "Save");
-            buildFactionOptions();
-            updatePreview();
-            // re-render quarter labels with new language strings & stats
-            if (previewImgSize) {
-              const quarters = translations[lang]?.quarters || {};
-              renderQuarterLabels(previewInner, previewBox, previewImgSize.width, previewImgSize.height, quarters, stats);
-            }
+            localStorage.setItem(LANG_KEY, code);
+            switchLanguage(code);
           },
         },
-        l === "de" ? "🇩🇪" : "🇬🇧"
+        flag
       );
-      if (lang === l) btn.classList.add("active");
       langSwitch.appendChild(btn);
     });
 
+    function switchLanguage(l) {
+      lang = i18n.setLanguage(l);
+      if (!hasTexts()) contentLanguage = lang;
+      setDocumentLang(lang);
+      // update active states and UI text
+      [...langSwitch.children].forEach((c) => c.classList.toggle("active", c.getAttribute("data-lang") === lang));
+      langSwitch.setAttribute("aria-label", t("languageSwitch"));
+      rootLabel.textContent = t("chooseFaction");
+      renderPageText();
+      renderExportButtons();
+      buildFactionOptions();
+      // re-render editors and preview (quarter labels included) with the new language strings
+      renderAll();
+    }
+
     // faction select label and element
     const rootLabel = el("label", { for: "faction-select", style: "font-weight:bold;margin-left:10px" }, "");
     const factionSelect = el("select", { id: "faction-select", style: "margin-left:10px;padding:8px" });
-    function buildFactionOptions() {
-      factionSelect.innerHTML = "";
-      const emptyOpt = el("option", { value: "" }, translations[lang]?.chooseFaction || (lang === "de" ? "Fraktion wählen" : "Choose faction"));
-      factionSelect.appendChild(emptyOpt);
-      const factionList = Array.isArray(translations[lang]?.factions) ? translations[lang].factions : [];
-      factionList.forEach((f) => {
-        factionSelect.appendChild(el("option", { value: f }, f));
+    // options are faction ids grouped by grand alliance, so the choice survives a language switch
+    // (the roster panel fills its faction select the same way)
+    function fillFactionOptions(select, selected = select.value) {
+      select.innerHTML = "";
+      const emptyOpt = el("option", { value: "" }, t("chooseFaction"));
+      select.appendChild(emptyOpt);
+      const alliances = section("alliances");
+      factions.ALLIANCES.forEach((alliance) => {
+        const options = factions.FACTIONS.filter((f) => f.alliance === alliance)
+          .map((f) => ({ id: f.id, name: factionName(f.id) }))
+          .sort((a, b) => a.name.localeCompare(b.name, lang))
+          .map((f) => el("option", { value: f.id }, f.name));
+        select.appendChild(el("optgroup", { label: alliances[alliance] || alliance }, options));
       });
+      // keep a faction that is not in the registry (written by hand into an imported file)
+      if (selected && !factions.get(selected)) select.appendChild(el("option", { value: selected }, selected));
+      select.value = selected;
+    }
+
+    function buildFactionOptions(selected = factionSelect.value) {
+      fillFactionOptions(factionSelect, selected);
     }
     buildFactionOptions();
 
     // stat input controls (numbers)
     const statControls = el("div", { style: "display:flex;gap:0.75rem;flex-wrap:wrap;align-items:center;margin-left:8px" });
 
-    function makeStatInput(key, labelText) {
-      // Configure input attributes per stat
-      const attrs = {
-        type: "number",
-        value: "",
-        placeholder: "",
-        style: "width:6.2rem;padding:6px;border-radius:6px;border:1px solid #ccc",
+    // typical values, shown as placeholders of the characteristic inputs
+    const CHARACTERISTIC_PLACEHOLDERS = { move: '6"', health: "5", save: "4+", control: "1", range: '12"', attacks: "D6", hit: "3+", wound: "3+", rend: "1", damage: "2" };
+
+    // text input for a characteristic: what the parser reads is passed to onValue, anything else keeps
+    // the previous value and shows the reason below the field. set(value) shows a stored value.
+    function makeCharacteristicInput(key, value, onValue, attrs = {}) {
+      const message = el("span", { className: "field-error hidden", role: "alert" });
+      const showError = (error) => {
+        input.classList.toggle("invalid", !!error);
+        input.setAttribute("aria-invalid", error ? "true" : "false");
+        message.textContent = error ? validationMessage(error) : "";
+        message.classList.toggle("hidden", !error);
+      };
+      const input = el("input", {
+        ...attrs,
+        type: "text",
+        autocomplete: "off",
+        spellcheck: "false",
+        placeholder: CHARACTERISTIC_PLACEHOLDERS[key],
+        title: t(`characteristics.${key}`),
+        value: value == null ? "" : String(value),
         oninput: (e) => {
-          let v = e.target.value;
-          // allow empty
-          if (v === "" || v == null) {
-            stats[key] = "";
-          } else {
-            if (key === "save") {
-              // save / health / control -> integers >= 0
-              let n = parseInt(v, 10);
-              if (Number.isNaN(n)) {
-                stats[key] = "";
-              } else {
-                if (n < 1) n = 1;
-                if (n > 6) n = 6;
-                stats[key] = Math.floor(n);
-              }
-            } else {
-              // save / health / control -> integers >= 0
-              let n = parseInt(v, 10);
-              if (Number.isNaN(n)) {
-                stats[key] = "";
-              } else {
-                if (n < 0) n = 0;
-                stats[key] = Math.floor(n);
-              }
-            }
-          }
-          // re-render overlay if image size known
-          if (previewImgSize) {
-            const quarters = translations[lang]?.quarters || {};
-            renderQuarterLabels(previewInner, previewBox, previewImgSize.width, previewImgSize.height, quarters, stats);
-          }
+          const result = characteristics.parse(key, e.target.value);
+          showError(result.error);
+          if (!result.error) onValue(result.value);
         },
+      });
+      const set = (v) => {
+        input.value = v == null ? "" : String(v);
+        showError(null);
       };
+      return { input, message, set };
+    }
 
-      // per-key input hints
-      if (key === "move") {
-        attrs.step = "1";
-        attrs.min = "0";
-        attrs.inputMode = "numeric";
-        attrs.title = 'Move in inches (e.g. 6 or 6.5).';
-      } else {
-        attrs.step = "1";
-        attrs.min = "0";
-        attrs.inputMode = "numeric";
-        attrs.title = key === "save" ? 'Save (integer, will be shown as e.g. "4+")' : 'Integer stat (>=0)';
-      }
-
-      const input = el("input", attrs);
-      const label = el("label", { style: "display:flex;flex-direction:column;font-size:0.85rem" }, [
-        el("span", {}, labelText),
-        input,
+    function makeStatInput(key, quarter) {
+      const field = makeCharacteristicInput(
+        key,
+        stats[key],
+        (value) => {
+          stats[key] = value;
+          updatePreview();
+        },
+        { style: "width:6.2rem;padding:6px;border-radius:6px;border:1px solid #ccc" }
+      );
+      const label = el("label", { className: "stat-field", style: "display:flex;flex-direction:column;font-size:0.85rem" }, [
+        el("span", { "data-quarter": quarter }, t(`quarters.${quarter}`)),
+        field.input,
+        field.message,
       ]);
-      return { label, input };
+      return { label, ...field };
     }
 
-    const moveLabelText = translations[lang]?.quarters?.top || (lang === "de" ? "BEWEGUNG" : "MOVE");
-    const healthLabelText = translations[lang]?.quarters?.left || (lang === "de" ? "LEBEN" : "HEALTH");
-    const saveLabelText = translations[lang]?.quarters?.right || (lang === "de" ? "RÜSTUNG" : "SAVE");
-    const controlLabelText = translations[lang]?.quarters?.bottom || (lang === "de" ? "KONTROLLE" : "CONTROL");
-
-    const moveInput = makeStatInput("move", moveLabelText);
-    const healthInput = makeStatInput("health", healthLabelText);
-    const saveInput = makeStatInput("save", saveLabelText);
-    const controlInput = makeStatInput("control", controlLabelText);
+    // stat fields named like the quarters of the stat circle
+    const moveInput = makeStatInput("move", "top");
+    const healthInput = makeStatInput("health", "left");
+    const saveInput = makeStatInput("save", "right");
+    const controlInput = makeStatInput("control", "bottom");
+
+    // stat labels and input tooltips in the current language
+    function renderStatLabels() {
+      [moveInput, healthInput, saveInput, controlInput].forEach((field) => {
+        const label = field.label.querySelector("[data-quarter]");
+        label.textContent = t(`quarters.${label.getAttribute("data-quarter")}`);
+      });
+      [["move", moveInput], ["health", healthInput], ["save", saveInput], ["control", controlInput]].forEach(([key, field]) =>
+        field.input.setAttribute("title", t(`characteristics.${key}`))
+      );
+    }
 
     statControls.appendChild(moveInput.label);
     statControls.appendChild(healthInput.label);
     statControls.appendChild(saveInput.label);
     statControls.appendChild(controlInput.label);
 
+    // tag list editor: removable chips plus a text input with suggestions (Enter or picking a suggestion adds)
+    function makeTagInput(tags, suggestionsId, placeholder, onChange) {
+      const wrap = el("div", { className: "tag-input" });
+      function render() {
+        wrap.innerHTML = "";
+        tags.forEach((tag, idx) => {
+          wrap.appendChild(
+            el("span", { className: "tag-chip" }, [
+              tag,
+              el("button", { type: "button", className: "tag-remove", title: actionLabels().remove, onclick: () => { tags.splice(idx, 1); render(); onChange(); } }, "×"),
+            ])
+          );
+        });
+        const input = el("input", { type: "text", list: suggestionsId, placeholder, className: "tag-entry" });
+        const add = () => {
+          const v = input.value.trim();
+          if (!v) return;
+          if (!tags.includes(v)) tags.push(v);
+          render();
+          onChange();
+          wrap.querySelector(".tag-entry").focus();
+        };
+        input.addEventListener("keydown", (e) => {
+          if (e.key === "Enter" || e.key === ",") {
+            e.preventDefault();
+            add();
+          }
+        });
+        input.addEventListener("change", add);
+        wrap.appendChild(input);
+      }
+      render();
+      return wrap;
+    }
+
+    // unit identity editor
+    const unitEditor = el("fieldset", { className: "unit-editor" });
+
+    function renderUnitEditor() {
+      unitEditor.innerHTML = "";
+      const labels = unitLabels();
+      unitEditor.appendChild(el("legend", {}, labels.title));
+      const field = (key, attrs, className) => {
+        const input = TEXT_FIELDS.unit.includes(key)
+          ? makeTextInput("input", unit, key, attrs, updatePreview)
+          : el("input", {
+              ...attrs,
+              value: unit[key],
+              oninput: (e) => {
+                unit[key] = attrs.type === "number" ? sanitizeCount(e.target.value) : e.target.value;
+                updatePreview();
+              },
+            });
+        return el("label", { className: `unit-field ${className || ""}` }, [el("span", {}, labels[key]), input]);
+      };
+      unitEditor.appendChild(field("name", { type: "text" }, "unit-field-wide"));
+      unitEditor.appendChild(field("subtitle", { type: "text" }, "unit-field-wide"));
+      unitEditor.appendChild(field("modelCount", { type: "number", min: "1", step: "1", inputMode: "numeric" }));
+      unitEditor.appendChild(field("baseSize", { type: "text", placeholder: "32mm" }));
+      unitEditor.appendChild(field("points", { type: "number", min: "0", step: "5", inputMode: "numeric" }));
+    }
+    renderUnitEditor();
+
+    // artwork: upload (scaled down for storage), zoom and position inside the frame; changes redraw the preview
+    const artworkEditor = el("fieldset", { className: "artwork-editor" });
+    const artworkInput = el("input", { type: "file", accept: "image/*", className: "hidden" });
+
+    function artworkLabels() {
+      return section("artwork");
+    }
+
+    artworkInput.addEventListener("change", async () => {
+      const file = artworkInput.files && artworkInput.files[0];
+      artworkInput.value = "";
+      if (!file) return;
+      try {
+        artworkChanged(await window.Warscroll.artwork.fromFile(file));
+      } catch (err) {
+        console.warn("Artwork upload failed:", err);
+        window.alert(artworkLabels().uploadFailed);
+        return;
+      }
+      // the file was read after the change event was handled: record the edit and save now
+      recordEdit(null);
+      scheduleAutosave();
+    });
+
+    function artworkChanged(value) {
+      artwork = value;
+      renderArtworkEditor();
+      updatePreview();
+    }
+
+    function renderArtworkEditor() {
+      const labels = artworkLabels();
+      artworkEditor.innerHTML = "";
+      artworkEditor.appendChild(el("legend", {}, labels.title));
+      artworkEditor.appendChild(artworkInput);
+      const upload = el("button", { type: "button", className: "list-add", onclick: () => artworkInput.click() }, artwork ? labels.replace : labels.upload);
+      if (!artwork) {
+        artworkEditor.appendChild(el("p", { className: "placeholder" }, labels.hint));
+        artworkEditor.appendChild(upload);
+        return;
+      }
+      artworkEditor.appendChild(el("img", { className: "artwork-thumb", src: artwork.image, alt: "" }));
+      // zoom and position sliders; x / y are stored as 0..1
+      const slider = (key, min, max, step, scale = 1) =>
+        el("label", { className: "artwork-field" }, [
+          el("span", {}, labels[key]),
+          el("input", {
+            type: "range",
+            min,
+            max,
+            step,
+            value: artwork[key] * scale,
+            oninput: (e) => {
+              artwork[key] = Number(e.target.value) / scale;
+              updatePreview();
+            },
+          }),
+        ]);
+      artworkEditor.appendChild(
+        el("div", { className: "artwork-controls" }, [
+          slider("zoom", ARTWORK_ZOOM.min, ARTWORK_ZOOM.max, 0.05),
+          slider("x", 0, 100, 1, 100),
+          slider("y", 0, 100, 1, 100),
+          el("div", { className: "artwork-actions" }, [
+            upload,
+            el("button", { type: "button", className: "list-add", onclick: () => artworkChanged({ ...artwork, x: 0.5, y: 0.5, zoom: 1 }) }, labels.reset),
+            el("button", { type: "button", className: "list-add", onclick: () => artworkChanged(null) }, labels.remove),
+          ]),
+        ])
+      );
+    }
+    renderArtworkEditor();
+
+    // points estimate: suggested cost, where it comes from, and the weights as editable JSON
+    let pointsWeights = defaultWeights;
+    try {
+      const saved = localStorage.getItem(POINTS_KEY);
+      if (saved) pointsWeights = JSON.parse(saved);
+    } catch (e) {
+      console.warn("Edited points weights are unreadable, using the defaults", e);
+    }
+    const pointsPanel = el("details", { className: "points-panel" });
+    const pointsEstimate = el("div", { className: "points-estimate" });
+    const weightsInput = el("textarea", { className: "points-weights", rows: "14", spellcheck: "false" });
+    const weightsError = el("p", { className: "field-error hidden", role: "alert" });
+
+    function pointsLabels() {
+      return section("points");
+    }
+
+    function renderPointsEstimate() {
+      const labels = pointsLabels();
+      const { total, parts } = window.Warscroll.points.estimate(snapshot(), pointsWeights);
+      const fmt = (v) => (typeof v === "number" ? v.toLocaleString(lang, { maximumFractionDigits: 1 }) : String(v));
+      const describe = (part) => {
+        if (!labels.factors || !labels.factors[part.id]) return part.id;
+        const params = Object.fromEntries(Object.entries(part.params).map(([key, v]) => [key, fmt(v)]));
+        return t(`points.factors.${part.id}`, { ...params, count: part.params.count });
+      };
+      pointsEstimate.innerHTML = "";
+      pointsEstimate.appendChild(
+        el("div", { className: "points-total" }, [
+          el("strong", {}, t("points.suggested", { points: total, count: total })),
+          el(
+            "button",
+            {
+              type: "button",
+              className: "secondary-button",
+              disabled: String(unit.points) === String(total) ? "disabled" : null,
+              onclick: () => {
+                unit.points = total;
+                renderUnitEditor();
+                updatePreview();
+              },
+            },
+            labels.accept
+          ),
+        ])
+      );
+      if (!parts.length) return;
+      pointsEstimate.appendChild(
+        el("table", { className: "points-table" }, [
+          el("thead", {}, el("tr", {}, [el("th", {}, labels.factor), el("th", {}, labels.points)])),
+          el("tbody", {}, parts.map((part) => el("tr", {}, [el("td", {}, describe(part)), el("td", {}, fmt(part.points))]))),
+        ])
+      );
+    }
+
+    function showWeightsError(message) {
+      weightsError.textContent = message ? t("points.invalid", { message }) : "";
+      weightsError.classList.toggle("hidden", !message);
+    }
+
+    function renderPointsPanel() {
+      const labels = pointsLabels();
+      const wasOpen = pointsPanel.open;
+      pointsPanel.innerHTML = "";
+      pointsPanel.appendChild(el("summary", {}, labels.title));
+      pointsPanel.appendChild(pointsEstimate);
+      weightsInput.value = JSON.stringify(pointsWeights, null, 2);
+      showWeightsError(null);
+      pointsPanel.appendChild(
+        el("details", { className: "points-weights-editor" }, [
+          el("summary", {}, labels.weights),
+          weightsInput,
+          weightsError,
+          el("div", { className: "points-weights-actions" }, [
+            el(
+              "button",
+              {
+                type: "button",
+                className: "secondary-button",
+                onclick: () => {
+                  const { weights, error } = window.Warscroll.points.parseWeights(weightsInput.value);
+                  showWeightsError(error);
+                  if (!weights) return;
+                  pointsWeights = weights;
+                  localStorage.setItem(POINTS_KEY, JSON.stringify(weights));
+                  renderPointsEstimate();
+                },
+              },
+              labels.apply
+            ),
+            el(
+              "button",
+              {
+                type: "button",
+                className: "secondary-button",
+                onclick: () => {
+                  pointsWeights = defaultWeights;
+                  localStorage.removeItem(POINTS_KEY);
+                  renderPointsPanel();
+                },
+              },
+              labels.reset
+            ),
+          ]),
+        ])
+      );
+      renderPointsEstimate();
+      pointsPanel.open = wasOpen;
+    }
+    renderPointsPanel();
+
+    // datalist with weapon ability suggestions from the translation file
+    const weaponAbilityList = el("datalist", { id: "weapon-ability-options" });
+    function buildWeaponAbilityOptions() {
+      weaponAbilityList.innerHTML = "";
+      const opts = Array.isArray(i18n.get("weaponAbilities")) ? i18n.get("weaponAbilities") : [];
+      opts.forEach((o) => weaponAbilityList.appendChild(el("option", { value: o })));
+    }
+    buildWeaponAbilityOptions();
+
+    // weapon editor: one section per table; rows can be added, reordered and removed
+    const weaponEditor = el("div", { className: "weapon-editor" });
+
+    function weaponsChanged() {
+      renderWeaponEditor();
+      updatePreview();
+    }
+
+    // up / down / remove buttons for an entry of an editable list
+    function makeRowActions(list, idx, onChange) {
+      const labels = actionLabels();
+      const move = (delta) => {
+        const to = idx + delta;
+        if (to < 0 || to >= list.length) return;
+        [list[idx], list[to]] = [list[to], list[idx]];
+        onChange();
+      };
+      return el("div", { className: "row-actions" }, [
+        el("button", { type: "button", title: labels.moveUp, disabled: idx === 0 ? "disabled" : null, onclick: () => move(-1) }, "↑"),
+        el("button", { type: "button", title: labels.moveDown, disabled: idx === list.length - 1 ? "disabled" : null, onclick: () => move(1) }, "↓"),
+        el("button", { type: "button", title: labels.remove, onclick: () => { list.splice(idx, 1); onChange(); } }, "✕"),
+      ]);
+    }
+
+    function makeWeaponRow(kind, weapon, idx, labels) {
+      const row = el("div", { className: "weapon-row" });
+      row.appendChild(
+        el("label", { className: "weapon-field weapon-field-name" }, [
+          el("span", {}, labels.name),
+          // the damage table refers to weapons by their original name
+          translating()
+            ? makeTextInput("input", weapon, "name", { type: "text" }, updatePreview)
+            : el("input", {
+                type: "text",
+                value: weapon.name,
+                oninput: (e) => {
+                  renameWeaponRefs(kind, weapon.name, e.target.value);
+                  weapon.name = e.target.value;
+                  updatePreview();
+                },
+              }),
+        ])
+      );
+      WEAPON_FIELDS[kind].forEach((field) => {
+        const { input, message } = makeCharacteristicInput(field, weapon[field], (value) => {
+          weapon[field] = value;
+          updatePreview();
+        });
+        row.appendChild(el("label", { className: "weapon-field" }, [el("span", {}, labels[field]), input, message]));
+      });
+      row.appendChild(
+        el("div", { className: "weapon-field weapon-field-abilities" }, [
+          el("span", {}, labels.abilities),
+          makeTextTags(weapon, "abilities", weaponAbilityList.id, labels.addTag, updatePreview),
+        ])
+      );
+      row.appendChild(makeRowActions(weapons[kind], idx, weaponsChanged));
+      return row;
+    }
+
+    function renderWeaponEditor() {
+      weaponEditor.innerHTML = "";
+      const labels = weaponLabels();
+      ["ranged", "melee"].forEach((kind) => {
+        const section = el("fieldset", { className: `weapon-section weapon-section-${kind}` }, el("legend", {}, labels[kind]));
+        weapons[kind].forEach((w, idx) => section.appendChild(makeWeaponRow(kind, w, idx, labels)));
+        section.appendChild(
+          el("button", { type: "button", className: "list-add", onclick: () => { weapons[kind].push(createWeapon()); weaponsChanged(); } }, labels.add)
+        );
+        weaponEditor.appendChild(section);
+      });
+      weaponEditor.appendChild(weaponAbilityList);
+    }
+    renderWeaponEditor();
+
+    // damage table editor: one row per wounds range, one field per characteristic set to "*"
+    const damageTableEditor = el("fieldset", { className: "damage-table-editor" });
+    let damageColumnsKey = null; // refs the editor was built for; rebuilt when a "*" is added or removed
+
+    function damageTableLabels() {
+      return section("damageTable");
+    }
+
+    function damageTableChanged() {
+      renderDamageTableEditor();
+      updatePreview();
+    }
+
+    // damage table values follow a weapon when it is renamed
+    function renameWeaponRefs(kind, from, to) {
+      if (from === to) return;
+      damageTable.forEach((row) =>
+        WEAPON_FIELDS[kind].forEach((field) => {
+          const ref = weaponRef(kind, from, field);
+          if (!(ref in row.values)) return;
+          row.values[weaponRef(kind, to, field)] = row.values[ref];
+          delete row.values[ref];
+        })
+      );
+    }
+
+    function renderDamageTableEditor() {
+      const labels = damageTableLabels();
+      const columns = variableCharacteristics({ stats, weapons });
+      const layoutLabels = { quarters: section("quarters"), weapons: weaponLabels() };
+      damageColumnsKey = columns.map((c) => c.ref).join("\n");
+      damageTableEditor.innerHTML = "";
+      damageTableEditor.appendChild(el("legend", {}, labels.title));
+      if (!columns.length) damageTableEditor.appendChild(el("p", { className: "placeholder" }, labels.hint));
+      damageTable.forEach((row, idx) => {
+        const line = el("div", { className: "weapon-row damage-row" });
+        line.appendChild(
+          el("label", { className: "weapon-field" }, [
+            el("span", {}, labels.wounds),
+            el("input", {
+              type: "text",
+              placeholder: "0-3",
+              value: row.wounds,
+              oninput: (e) => {
+                row.wounds = e.target.value;
+                updatePreview();
+              },
+            }),
+          ])
+        );
+        columns.forEach((c) => {
+          const { input, message } = makeCharacteristicInput(c.key, row.values[c.ref], (value) => {
+            if (value === "") delete row.values[c.ref];
+            else row.values[c.ref] = value;
+            updatePreview();
+          });
+          line.appendChild(el("label", { className: "weapon-field" }, [el("span", {}, damageColumnLabel(c, layoutLabels)), input, message]));
+        });
+        line.appendChild(makeRowActions(damageTable, idx, damageTableChanged));
+        damageTableEditor.appendChild(line);
+      });
+      damageTableEditor.appendChild(
+        el("button", { type: "button", className: "list-add", onclick: () => { damageTable.push(createDamageRow()); damageTableChanged(); } }, labels.add)
+      );
+    }
+    renderDamageTableEditor();
+
+    // keyword editor: unit and faction keywords with suggestions from the language's vocabulary
+    const keywordEditor = el("fieldset", { className: "keyword-editor" });
+    const keywordLists = {
+      unit: el("datalist", { id: "unit-keyword-options" }),
+      faction: el("datalist", { id: "faction-keyword-options" }),
+    };
+
+    function buildKeywordOptions() {
+      const vocabulary = section("keywordVocabulary");
+      Object.keys(keywordLists).forEach((group) => {
+        keywordLists[group].innerHTML = "";
+        const words = Array.isArray(vocabulary[group]) ? vocabulary[group] : [];
+        words.forEach((w) => keywordLists[group].appendChild(el("option", { value: w })));
+      });
+    }
+    buildKeywordOptions();
+
+    function renderKeywordEditor() {
+      keywordEditor.innerHTML = "";
+      const labels = keywordLabels();
+      keywordEditor.appendChild(el("legend", {}, labels.title));
+      ["unit", "faction"].forEach((group) => {
+        keywordEditor.appendChild(
+          el("div", { className: "keyword-group" }, [
+            el("span", {}, labels[group]),
+            makeTextTags(keywords, group, keywordLists[group].id, labels.add, updatePreview),
+          ])
+        );
+      });
+      keywordEditor.appendChild(keywordLists.unit);
+      keywordEditor.appendChild(keywordLists.faction);
+    }
+    renderKeywordEditor();
+
+    // ability editor: one block per ability with timing, usage limit, declare/effect text and keywords
+    const abilityEditor = el("fieldset", { className: "ability-editor" });
+
+    function abilitiesChanged() {
+      renderAbilityEditor();
+      updatePreview();
+    }
+
+    function makeAbilityRow(ability, idx, labels) {
+      const row = el("div", { className: "ability-row" });
+      row.style.borderLeftColor = abilityColour(ability.timing);
+
+      const timingSelect = el(
+        "select",
+        {
+          className: "ability-timing",
+          onchange: (e) => {
+            ability.timing = e.target.value;
+            row.style.borderLeftColor = abilityColour(ability.timing);
+            updatePreview();
+          },
+        },
+        ABILITY_TIMINGS.map((t) => el("option", { value: t.id }, labels.timings[t.id] || t.id))
+      );
+      timingSelect.value = ability.timing;
+
+      const usageSelect = el(
+        "select",
+        {
+          className: "ability-usage",
+          onchange: (e) => {
+            ability.usage = e.target.value;
+            updatePreview();
+          },
+        },
+        ABILITY_USAGES.map((u) => el("option", { value: u }, u ? labels.usages[u] || u : labels.noUsage))
+      );
+      usageSelect.value = ability.usage;
+
+      const textField = (field) => {
+        const area = makeTextInput("textarea", ability, field, { rows: "2" }, updatePreview);
+        if (!area.placeholder) area.placeholder = labels.markup;
+        return el("label", { className: "ability-field ability-field-text" }, [el("span", {}, labels[field]), area]);
+      };
+
+      row.appendChild(
+        el("div", { className: "ability-row-head" }, [
+          el("label", { className: "ability-field ability-field-name" }, [
+            el("span", {}, labels.name),
+            makeTextInput("input", ability, "name", { type: "text" }, updatePreview),
+          ]),
+          el("label", { className: "ability-field" }, [el("span", {}, labels.timing), timingSelect]),
+          el("label", { className: "ability-field" }, [el("span", {}, labels.usage), usageSelect]),
+          makeRowActions(abilities, idx, abilitiesChanged),
+        ])
+      );
+      row.appendChild(textField("declare"));
+      row.appendChild(textField("effect"));
+      row.appendChild(
+        el("div", { className: "ability-field" }, [
+          el("span", {}, labels.keywords),
+          makeTextTags(ability, "keywords", null, labels.addKeyword, updatePreview),
+        ])
+      );
+      return row;
+    }
+
+    function renderAbilityEditor() {
+      abilityEditor.innerHTML = "";
+      const labels = abilityLabels();
+      abilityEditor.appendChild(el("legend", {}, labels.title));
+      abilities.forEach((a, idx) => abilityEditor.appendChild(makeAbilityRow(a, idx, labels)));
+      abilityEditor.appendChild(
+        el("button", { type: "button", className: "list-add", onclick: () => { abilities.push(createAbility()); abilitiesChanged(); } }, labels.add)
+      );
+    }
+    renderAbilityEditor();
+
     // preview & save
     const previewWrap = el("div", { id: "preview-wrap", style: "margin-top:1rem;text-align:center;" });
 
+    // sheet size in pixels: the layout's size, or the background's natural size once it is loaded; the preview
+    // and the export share it
+    let sheetSize = { ...DEFAULT_EXPORT_SIZE };
+
     // previewBox uses background-image CSS so browser shows it immediately.
-    // We'll adjust the box dimensions to the image natural size once the image is loaded.
+    // The SVG drawn from the shared layout sits on top (see renderPreview).
     const previewBox = el("div", {
       id: "warscroll-preview",
       style:
-        'display:inline-block;padding:1rem;background:white;border:1px solid #ccc;border-radius:8px;min-width:320px;max-width:650px;overflow:hidden;position:relative;' +
-        `background-image:url("${BACKGROUND_IMAGE}");background-size:cover;background-position:center;background-repeat:no-repeat;`,
+        "display:inline-block;background:white;border:1px solid #ccc;border-radius:8px;overflow:hidden;position:relative;" +
+        `background-image:url("${BACKGROUND_IMAGE}");background-size:100% 100%;background-repeat:no-repeat;`,
     });
+    // shown when the texts had to shrink to fit the sheet, or don't fit at all
+    const fitStatus = el("p", { className: "fit-status hidden", role: "status" });
+    previewWrap.appendChild(fitStatus);
     previewWrap.appendChild(previewBox);
 
-    // convenience: inner overlay container for text/padding inside the preview box
-    const previewInner = el("div", { style: "position:relative;padding:1rem;box-sizing:border-box;width:100%;height:100%;display:flex;flex-direction:column;justify-content:flex-start;align-items:flex-start;background:transparent;" });
-    previewBox.appendChild(previewInner);
+    // expected damage per weapon and for the unit against every target save
+    const analysisPanel = el("details", { className: "analysis-panel" });
+    previewWrap.appendChild(analysisPanel);
+    let analysisWard = "";
+    let analysisChampion = null; // null follows the CHAMPION unit keyword
+
+    function analysisLabels() {
+      return section("analysis");
+    }
+
+    function renderAnalysis() {
+      const { mathhammer } = window.Warscroll;
+      const labels = analysisLabels();
+      const data = printable();
+      const champion = analysisChampion !== null ? analysisChampion : data.keywords.unit.some((k) => String(k).toUpperCase() === "CHAMPION");
+      const { weapons: results, total } = mathhammer.analyse(data, { champion, ward: analysisWard ? Number(analysisWard) : 0 });
+      const num = (n) => n.toLocaleString(lang, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+      const saveLabel = (s) => (s === "-" ? "-" : `${s}+`);
+      const wasOpen = analysisPanel.open;
+      analysisPanel.innerHTML = "";
+      analysisPanel.appendChild(el("summary", {}, labels.title));
+      analysisPanel.appendChild(
+        el("div", { className: "analysis-options" }, [
+          el("label", {}, [
+            labels.ward,
+            el(
+              "select",
+              {
+                onchange: (e) => {
+                  analysisWard = e.target.value;
+                  renderAnalysis();
+                },
+              },
+              mathhammer.WARDS.map((w) => el("option", { value: String(w), selected: String(w) === analysisWard ? "selected" : null }, w ? `${w}+` : labels.noWard))
+            ),
+          ]),
+          el("label", {}, [
+            el("input", {
+              type: "checkbox",
+              checked: champion,
+              onchange: (e) => {
+                analysisChampion = e.target.checked;
+                renderAnalysis();
+              },
+            }),
+            labels.champion,
+          ]),
+        ])
+      );
+      if (!results.length) {
+        analysisPanel.appendChild(el("p", { className: "placeholder" }, labels.empty));
+        analysisPanel.open = wasOpen;
+        return;
+      }
+      const row = (name, result, className) =>
+        el(
+          "tr",
+          { className: className || "" },
+          [name].concat(
+            result
+              ? [num(result.attacks), num(result.hits), num(result.wounds), ...mathhammer.SAVES.map((s) => num(result.damage[s]))]
+              : Array(3 + mathhammer.SAVES.length).fill("-")
+          ).map((text, i) => el(i ? "td" : "th", { scope: i ? null : "row" }, text))
+        );
+      analysisPanel.appendChild(
+        el("table", { className: "analysis-table" }, [
+          el("thead", {}, [
+            el("tr", {}, [
+              el("th", { rowspan: 2 }, labels.weapon),
+              el("th", { rowspan: 2 }, labels.attacks),
+              el("th", { rowspan: 2 }, labels.hits),
+              el("th", { rowspan: 2 }, labels.wounds),
+              el("th", { colspan: mathhammer.SAVES.length }, labels.save),
+            ]),
+            el("tr", {}, mathhammer.SAVES.map((s) => el("th", {}, saveLabel(s)))),
+          ]),
+          el("tbody", {}, results.map((w) => row(w.name || "-", w.result))),
+          el("tfoot", {}, row(labels.unit, total, "analysis-total")),
+        ])
+      );
+      analysisPanel.appendChild(el("p", { className: "placeholder" }, labels.note));
+      analysisPanel.open = wasOpen;
+    }
+
+    function sizePreviewBox() {
+      previewBox.style.width = sheetSize.width + "px";
+      previewBox.style.height = sheetSize.height + "px";
+    }
+    sizePreviewBox();
+
+    // shown in the content area while no faction is chosen
+    const placeholder = el("p", { className: "placeholder preview-placeholder" }, "");
+    previewBox.appendChild(placeholder);
+
+    // --- layouts: classic page, compact card or landscape spearhead card ---
+    let activeLayout = layouts.get(localStorage.getItem(LAYOUT_KEY));
+
+    const layoutPanel = el("label", { className: "layout-panel" });
+    previewWrap.insertBefore(layoutPanel, previewBox);
+
+    function renderLayoutPanel() {
+      const labels = section("layouts");
+      layoutPanel.innerHTML = "";
+      layoutPanel.appendChild(document.createTextNode(labels.title || ""));
+      layoutPanel.appendChild(
+        el(
+          "select",
+          { onchange: (e) => selectLayout(e.target.value) },
+          layouts.LAYOUTS.map((l) => el("option", { value: l.id, selected: l === activeLayout ? "selected" : null }, labels[l.id] || l.id))
+        )
+      );
+    }
+
+    function selectLayout(id) {
+      activeLayout = layouts.get(id);
+      localStorage.setItem(LAYOUT_KEY, activeLayout.id);
+      calibrating = null;
+      renderTemplatePanel();
+      updatePreview();
+    }
+
+    // --- sheet templates: uploaded backgrounds with a calibrated stat circle and content area ---
+    let activeTemplate = null; // the template in use; null shows the faction background
+    let calibrating = null; // "circle" | "content" while the calibration overlay is shown
+
+    // layout frame of the sheet: the template's calibration, or the one of the layout in use
+    function currentFrame() {
+      return activeLayout.background && activeTemplate ? templates.frameOf(activeTemplate) : activeLayout.frame;
+    }
+
+    function templateLabels() {
+      return section("templates");
+    }
+
+    const templatePanel = el("fieldset", { className: "template-panel" });
+    const templateInput = el("input", { type: "file", accept: "image/*", className: "hidden" });
+    previewWrap.insertBefore(templatePanel, previewBox);
+    previewWrap.insertBefore(templateInput, previewBox);
+    let templatePanelRenderId = 0;
+
+    async function renderTemplatePanel() {
+      const renderId = ++templatePanelRenderId;
+      const labels = templateLabels();
+      const list = await templates.list().catch((err) => {
+        console.warn("Sheet templates are unavailable:", err);
+        return [];
+      });
+      if (renderId !== templatePanelRenderId) return; // a newer render is under way
+      const activeId = activeTemplate ? activeTemplate.id : "";
+      templatePanel.innerHTML = "";
+      // only layouts drawn on a background take a sheet template
+      templatePanel.classList.toggle("hidden", !activeLayout.background);
+      templatePanel.appendChild(el("legend", {}, labels.title));
+      templatePanel.appendChild(
+        el(
+          "select",
+          { "aria-label": labels.title, disabled: calibrating ? "disabled" : null, onchange: (e) => selectTemplate(e.target.value) },
+          [{ id: "", name: labels.none }, ...list].map((t) => el("option", { value: t.id, selected: t.id === activeId ? "selected" : null }, t.name))
+        )
+      );
+      if (calibrating) {
+        ["circle", "content"].forEach((mode) =>
+          templatePanel.appendChild(
+            el(
+              "button",
+              {
+                type: "button",
+                className: `secondary-button ${calibrating === mode ? "active" : ""}`,
+                "aria-pressed": String(calibrating === mode),
+                onclick: () => {
+                  calibrating = mode;
+                  renderTemplatePanel();
+                  renderPreview();
+                },
+              },
+              labels[mode]
+            )
+          )
+        );
+        templatePanel.appendChild(el("button", { type: "button", className: "secondary-button", onclick: resetCalibration }, labels.reset));
+        templatePanel.appendChild(
+          el(
+            "button",
+            {
+              type: "button",
+              className: "secondary-button",
+              onclick: () => {
+                calibrating = null;
+                renderTemplatePanel();
+                renderPreview();
+              },
+            },
+            labels.done
+          )
+        );
+        templatePanel.appendChild(el("p", { className: "placeholder" }, labels.hint));
+        return;
+      }
+      templatePanel.appendChild(el("button", { type: "button", className: "secondary-button", onclick: () => templateInput.click() }, labels.upload));
+      if (activeTemplate) {
+        templatePanel.appendChild(
+          el(
+            "button",
+            {
+              type: "button",
+              className: "secondary-button",
+              onclick: () => {
+                calibrating = "circle";
+                renderTemplatePanel();
+                renderPreview();
+              },
+            },
+            labels.calibrate
+          )
+        );
+        templatePanel.appendChild(el("button", { type: "button", className: "secondary-button", onclick: deleteTemplate }, labels.remove));
+      }
+    }
+
+    async function selectTemplate(id) {
+      activeTemplate = id ? await templates.load(id).catch(() => null) : null;
+      calibrating = null;
+      if (activeTemplate) localStorage.setItem(TEMPLATE_KEY, activeTemplate.id);
+      else localStorage.removeItem(TEMPLATE_KEY);
+      renderTemplatePanel();
+      updatePreview();
+    }
+
+    templateInput.addEventListener("change", async () => {
+      const file = templateInput.files && templateInput.files[0];
+      templateInput.value = "";
+      if (!file) return;
+      let template;
+      try {
+        template = await templates.save(await templates.fromFile(file));
+      } catch (err) {
+        console.warn("Template upload failed:", err);
+        window.alert(templateLabels().uploadFailed);
+        return;
+      }
+      await selectTemplate(template.id);
+      // a new template starts with the default calibration, so go straight to calibrating it
+      calibrating = "circle";
+      renderTemplatePanel();
+      renderPreview();
+    });
+
+    async function deleteTemplate() {
+      if (!activeTemplate || !window.confirm(t("templates.deleteConfirm", { name: activeTemplate.name }))) return;
+      await templates.remove(activeTemplate.id);
+      await selectTemplate(null);
+    }
+
+    // store the calibration with the template; the stored copy replaces the one in use
+    function saveCalibration() {
+      const template = activeTemplate;
+      templates
+        .save(template)
+        .then((stored) => {
+          if (activeTemplate === template) activeTemplate = { ...stored, frame: activeTemplate.frame };
+        })
+        .catch((err) => console.error("Calibration could not be saved:", err));
+    }
+
+    function resetCalibration() {
+      activeTemplate = { ...activeTemplate, frame: templates.normalizeFrame(null) };
+      saveCalibration();
+      renderPreview();
+    }
+
+    // calibration overlay: circle and content area outlines; the pointer edits the selected one
+    const SVG_NS = "http://www.w3.org/2000/svg";
+    const calibrationOverlay = document.createElementNS(SVG_NS, "svg");
+    calibrationOverlay.setAttribute("class", "calibration-overlay");
+    let calibrationStart = null;
+
+    function renderCalibration() {
+      const { width, height } = sheetSize;
+      const { circle, content } = templates.normalizeFrame(activeTemplate.frame);
+      const shape = (tag, attrs, mode) => {
+        const e = document.createElementNS(SVG_NS, tag);
+        Object.keys(attrs).forEach((k) => e.setAttribute(k, attrs[k]));
+        e.setAttribute("class", `calibration-shape ${calibrating === mode ? "active" : ""}`);
+        return e;
+      };
+      calibrationOverlay.setAttribute("viewBox", `0 0 ${width} ${height}`);
+      calibrationOverlay.innerHTML = "";
+      const r = circle.r * Math.min(width, height);
+      calibrationOverlay.appendChild(shape("circle", { cx: circle.cx * width, cy: circle.cy * height, r }, "circle"));
+      calibrationOverlay.appendChild(shape("circle", { cx: circle.cx * width, cy: circle.cy * height, r: 3 }, "circle"));
+      calibrationOverlay.appendChild(
+        shape("rect", { x: content.x * width, y: content.y * height, width: content.w * width, height: content.h * height }, "content")
+      );
+    }
+
+    // pointer position as fractions of the sheet
+    function sheetPoint(ev) {
+      const box = calibrationOverlay.getBoundingClientRect();
+      return { x: (ev.clientX - box.left) / box.width, y: (ev.clientY - box.top) / box.height };
+    }
 
-    let previewImgSize = null; // will store {width,height} when image loaded
+    // a click moves the circle / content area to the pointer; dragging sets the radius / draws the area
+    function calibrate(start, end) {
+      const frame = templates.normalizeFrame(activeTemplate.frame);
+      const { width, height } = sheetSize;
+      if (calibrating === "circle") {
+        frame.circle.cx = start.x;
+        frame.circle.cy = start.y;
+        if (end) frame.circle.r = Math.hypot((end.x - start.x) * width, (end.y - start.y) * height) / Math.min(width, height);
+      } else if (end) {
+        frame.content = {
+          x: Math.min(start.x, end.x),
+          y: Math.min(start.y, end.y),
+          w: Math.abs(end.x - start.x),
+          h: Math.abs(end.y - start.y),
+        };
+      } else {
+        frame.content.x = start.x - frame.content.w / 2;
+        frame.content.y = start.y - frame.content.h / 2;
+      }
+      activeTemplate = { ...activeTemplate, frame: templates.normalizeFrame(frame) };
+      renderPreview();
+    }
+
+    calibrationOverlay.addEventListener("pointerdown", (ev) => {
+      calibrationStart = sheetPoint(ev);
+      if (calibrationOverlay.setPointerCapture) calibrationOverlay.setPointerCapture(ev.pointerId);
+      calibrate(calibrationStart, null);
+    });
+    calibrationOverlay.addEventListener("pointermove", (ev) => {
+      if (!calibrationStart) return;
+      const end = sheetPoint(ev);
+      // ignore jitter of a click
+      if (Math.hypot(end.x - calibrationStart.x, end.y - calibrationStart.y) < 0.005) return;
+      calibrate(calibrationStart, end);
+    });
+    ["pointerup", "pointercancel"].forEach((type) =>
+      calibrationOverlay.addEventListener(type, () => {
+        if (!calibrationStart) return;
+        calibrationStart = null;
+        saveCalibration();
+      })
+    );
 
     const saveBtn = el(
       "button",
       {
         type: "button",
-        style: "display:block;margin:1rem auto;padding:0.6rem 1rem;background:#3b82f6;color:white;border:none;border-radius:6px;cursor:pointer",
+        style: "display:block;margin:1rem 0;padding:0.6rem 1rem;background:#3b82f6;color:white;border:none;border-radius:6px;cursor:pointer",
       },
       ""
     );
 
-    saveBtn.addEventListener("click", async () => {
-      // Wait for the background image to load so we can export at the image's natural size
-      let img = bgImage;
-      try {
-        if (!img) img = await bgLoadPromise;
-      } catch (_) {
-        img = bgImage; // may still be null
+    // the open warscroll with its texts in the UI language, as the preview and the exports show it
+    function printable(data = snapshot()) {
+      return localizeWarscroll(data, lang);
+    }
+
+    // everything computeLayout needs besides the warscroll itself; data defaults to the open warscroll
+    function layoutOptions(data = printable()) {
+      const faction = factions.get(data.faction);
+      return {
+        title: headerTitle(data),
+        faction: factionName(data.faction),
+        accent: faction ? faction.colour : null,
+        emblem: faction ? faction.emblem : null,
+        frame: currentFrame(),
+        style: activeLayout.style,
+        labels: {
+          quarters: section("quarters"),
+          unit: { ...unitLabels(), models: t("unit.models", { count: Number(data.unit.modelCount) }) },
+          weapons: weaponLabels(),
+          abilities: abilityLabels(),
+          keywords: keywordLabels(),
+          damageTable: damageTableLabels(),
+        },
+      };
+    }
+
+    // { url, image } of the sheet background: the template in use, else the faction's background with
+    // the shared one as fallback; both null if none loads or the layout draws its own sheet
+    async function sheetBackground(factionId) {
+      if (!activeLayout.background) return { url: null, image: null };
+      if (activeTemplate) {
+        const image = await loadCachedImage(activeTemplate.image);
+        return image ? { url: activeTemplate.image, image } : { url: null, image: null };
       }
+      let url = backgroundUrl(factionId);
+      let image = await loadCachedImage(url);
+      if (!image && url !== BACKGROUND_IMAGE) {
+        url = BACKGROUND_IMAGE;
+        image = await loadCachedImage(url);
+      }
+      return image ? { url, image } : { url: null, image: null };
+    }
 
-      const width = img ? img.naturalWidth : DEFAULT_EXPORT_SIZE.width;
-      const height = img ? img.naturalHeight : DEFAULT_EXPORT_SIZE.height;
+    // waits for the fonts and the images a warscroll is drawn with; resolves with
+    // { background, backgroundUrl, images } where a missing background is null
+    async function exportAssets(data = snapshot()) {
+      await loadFonts();
+      const { url, image } = await sheetBackground(data.faction);
+      const images = {};
+      const { emblem } = layoutOptions(data);
+      if (emblem) images[emblem] = await loadCachedImage(emblem);
+      if (data.artwork) images[data.artwork.image] = await loadImage(data.artwork.image).catch(() => null);
+      return { background: image, backgroundUrl: url, images };
+    }
 
-      const title = previewTitle.textContent || (translations[lang]?.warscrollOf || (lang === "de" ? "Schriftrolle der" : "Warscroll of"));
-      const canvas = drawWarscrollCanvas(title, width, height, img, {
-        move: stats.move,
-        health: stats.health,
-        save: stats.save,
-        control: stats.control,
-      });
+    saveBtn.addEventListener("click", async () => {
+      // Wait for the background image to load so we can export at the image's natural size
+      const { background, images } = await exportAssets();
+      const data = printable();
+      const canvas = drawWarscrollCanvas(data, sheetSize.width, sheetSize.height, background, { ...layoutOptions(data), images });
       const link = document.createElement("a");
       link.href = canvas.toDataURL("image/png");
-      const safe = (previewTitle.textContent || "warscroll").replace(/\s+/g, "-").toLowerCase();
-      link.download = `${(translations[lang]?.warscrollOf || "warscroll").replace(/\s+/g, "_")}-${safe}.png`;
+      link.download = `${fileSlug(data.unit.name)}.png`;
       link.click();
     });
 
-    // preview title element (placed inside previewInner so it sits over the background)
-    const previewTitle = el("h2", { style: "margin:0 0 8px 0;text-align:left;color:var(--title-color);width:100%" }, "");
-    previewInner.appendChild(previewTitle);
+    // vector SVG with the background and the fonts embedded
+    const saveSvgBtn = el("button", { type: "button", className: "secondary-button" }, "");
+    saveSvgBtn.addEventListener("click", async () => {
+      const { backgroundUrl: background } = await exportAssets();
+      const data = printable();
+      const layout = computeLayout(data, { ...layoutOptions(data), ...sheetSize });
+      const svg = await renderSvgFile(layout, { background });
+      downloadBlob(new Blob([svg], { type: "image/svg+xml" }), `${fileSlug(data.unit.name)}.svg`);
+    });
 
-    // small content area inside preview (placeholder, extendable)
-    const previewContent = el("div", { style: "text-align:left;color:var(--text-color);width:100%" }, el("p", { className: "placeholder", style: "margin:0.5rem 0" }, ""));
-    previewInner.appendChild(previewContent);
+    // one page PDF at the sheet's size, the warscroll rendered at the print resolution (print.PRINT_DPI)
+    const savePdfBtn = el("button", { type: "button", className: "secondary-button" }, "");
+    savePdfBtn.addEventListener("click", async () => {
+      const { pdf, print } = window.Warscroll;
+      const { background, images } = await exportAssets();
+      const data = printable();
+      const options = { ...layoutOptions(data), images, scale: print.PRINT_DPI / 96 };
+      const canvas = drawWarscrollCanvas(data, sheetSize.width, sheetSize.height, background, options);
+      const width = sheetSize.width * pdf.PT_PER_PX;
+      const height = sheetSize.height * pdf.PT_PER_PX;
+      const doc = pdf.createPdf();
+      doc.addPage(width, height).image(pdf.canvasToJpeg(canvas), 0, 0, width, height);
+      downloadBlob(doc.toBlob(), `${fileSlug(data.unit.name)}.pdf`);
+    });
+
+    // Markdown / BBCode / plain text for Discord and forum posts (app/js/textexport.js), copied to the clipboard
+    const TEXT_FILES = { markdown: ["md", "text/markdown"], bbcode: ["bbcode.txt", "text/plain"], text: ["txt", "text/plain"] };
+    const copyTextBtns = textExport.FORMATS.map((format) => {
+      const btn = el("button", { type: "button", className: "secondary-button" }, "");
+      btn.addEventListener("click", async () => {
+        const data = printable();
+        const text = textExport.exportText(format, data, layoutOptions(data));
+        try {
+          await navigator.clipboard.writeText(text);
+          btn.textContent = t("textExport.copied");
+          setTimeout(renderExportButtons, 2000);
+        } catch (_) {
+          // no clipboard access (insecure context, denied permission): save it as a file instead
+          const [extension, type] = TEXT_FILES[format];
+          downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), `${fileSlug(data.unit.name)}.${extension}`);
+        }
+      });
+      return btn;
+    });
+
+    function renderExportButtons() {
+      saveBtn.textContent = t("saveAsPng");
+      saveSvgBtn.textContent = t("saveAsSvg");
+      savePdfBtn.textContent = t("saveAsPdf");
+      copyTextBtns.forEach((btn, idx) => (btn.textContent = t(`textExport.${textExport.FORMATS[idx]}`)));
+    }
+
+    // redraw the SVG preview from the same layout the export uses
+    function renderPreview() {
+      const existing = previewBox.querySelector(".preview-sheet");
+      if (existing) existing.remove();
+      const data = printable();
+      const options = layoutOptions(data);
+      const layout = computeLayout(data, { ...options, ...sheetSize });
+      const svg = renderSvg(layout);
+      svg.setAttribute("class", "preview-sheet");
+      previewBox.appendChild(svg);
+      renderFitStatus(layout);
+      placeholder.style.left = `${options.frame.content.x * 100}%`;
+      placeholder.style.top = `${options.frame.content.y * 100}%`;
+      if (calibrating && activeTemplate && activeLayout.background) {
+        renderCalibration();
+        previewBox.appendChild(calibrationOverlay);
+      } else {
+        calibrationOverlay.remove();
+      }
+    }
+
+    function renderFitStatus(layout) {
+      const overflow = section("fit.overflow");
+      const messages = layout.overflow.map((region) => overflow[region]).filter(Boolean);
+      if (!messages.length && layout.textScale < 1) messages.push(t("fit.shrunk", { percent: Math.round(layout.textScale * 100) }));
+      fitStatus.textContent = messages.join(" ");
+      fitStatus.classList.toggle("hidden", !messages.length);
+      fitStatus.classList.toggle("overflow", layout.overflow.length > 0);
+    }
+
+    // the background follows the layout, then the template in use, else the faction
+    function backgroundKey() {
+      if (!activeLayout.background) return `layout:${activeLayout.id}`;
+      return activeTemplate ? `template:${activeTemplate.id}` : factionSelect.value;
+    }
+
+    // show the sheet background; preview and export take the layout's size, else the natural size of the
+    // loaded image
+    let previewBackgroundKey = null;
+    function updatePreviewBackground() {
+      const factionId = factionSelect.value;
+      const key = backgroundKey();
+      previewBackgroundKey = key;
+      sheetBackground(factionId).then(({ url, image }) => {
+        if (previewBackgroundKey !== key) return; // changed meanwhile
+        previewBox.style.backgroundImage = url ? `url("${url}")` : "none";
+        if (activeLayout.size) sheetSize = { ...activeLayout.size };
+        else if (image && image.naturalWidth && image.naturalHeight) sheetSize = { width: image.naturalWidth, height: image.naturalHeight };
+        else sheetSize = { ...DEFAULT_EXPORT_SIZE };
+        sizePreviewBox();
+        renderPreview();
+      });
+    }
 
     // wire up select changes
     function updatePreview() {
       const f = factionSelect.value;
-      if (!f) {
-        previewTitle.textContent = "";
-        previewContent.querySelector("p").textContent = translations[lang]?.chooseFaction || (lang === "de" ? "Fraktion wählen" : "Choose faction");
-        saveBtn.style.display = "none";
+      if (backgroundKey() !== previewBackgroundKey) updatePreviewBackground();
+      if (variableCharacteristics({ stats, weapons }).map((c) => c.ref).join("\n") !== damageColumnsKey) renderDamageTableEditor();
+      placeholder.classList.toggle("hidden", !!f);
+      if (!f) placeholder.textContent = t("chooseFaction");
+      [saveBtn, saveSvgBtn, savePdfBtn].forEach((btn) => (btn.style.display = f ? "block" : "none"));
+      renderPreview();
+      renderAnalysis();
+      renderPointsEstimate();
+      renderContentStatus();
+    }
+    factionSelect.addEventListener("change", updatePreview);
+
+    // texts of the page around #root (index.html)
+    function renderPageText() {
+      const themeToggle = document.getElementById("theme-toggle");
+      if (themeToggle) themeToggle.title = t("themeToggle");
+    }
+
+    // initial text
+    rootLabel.textContent = t("chooseFaction");
+    renderPageText();
+    renderExportButtons();
+
+    // rebuild every editor and the preview from the current state (language switch, loading a warscroll)
+    function renderAll() {
+      renderStatLabels();
+      renderUnitEditor();
+      renderArtworkEditor();
+      renderPointsPanel();
+      buildWeaponAbilityOptions();
+      renderWeaponEditor();
+      renderDamageTableEditor();
+      renderAbilityEditor();
+      buildKeywordOptions();
+      renderKeywordEditor();
+      renderLibrary();
+      renderFileButtons();
+      renderLayoutPanel();
+      renderTemplatePanel();
+      renderHistoryButtons();
+      updatePreview();
+    }
+
+    // plain copy of the open warscroll, as stored in the library; the artwork's data: URL is shared
+    // instead of serialized, since the preview takes several snapshots per edit
+    function snapshot() {
+      const data = JSON.parse(
+        JSON.stringify({ language: contentLanguage, faction: factionSelect.value, unit, stats, weapons, abilities, keywords, damageTable })
+      );
+      return { ...data, artwork: artwork && { ...artwork } };
+    }
+
+    // replace the open warscroll with data (missing parts become empty); the state objects are
+    // updated in place because the editors hold references to them
+    function applyWarscroll(data) {
+      const d = normalizeWarscroll(data);
+      contentLanguage = d.language || lang;
+      delete unit.translations;
+      delete keywords.translations;
+      Object.assign(unit, d.unit);
+      Object.assign(stats, d.stats);
+      if (d.keywords.translations) keywords.translations = d.keywords.translations;
+      ["ranged", "melee"].forEach((kind) => weapons[kind].splice(0, weapons[kind].length, ...d.weapons[kind]));
+      abilities.splice(0, abilities.length, ...d.abilities);
+      ["unit", "faction"].forEach((group) => keywords[group].splice(0, keywords[group].length, ...d.keywords[group]));
+      damageTable.splice(0, damageTable.length, ...d.damageTable);
+      artwork = d.artwork;
+      buildFactionOptions(d.faction);
+      moveInput.set(stats.move);
+      healthInput.set(stats.health);
+      saveInput.set(stats.save);
+      controlInput.set(stats.control);
+      renderAll();
+    }
+
+    // --- undo / redo: snapshots of the open warscroll after every edit (app/js/history.js) ---
+    const editHistory = window.Warscroll.history.createHistory({ coalesce: HISTORY_COALESCE });
+
+    function historyLabels() {
+      return section("history");
+    }
+
+    const undoBtn = el("button", { type: "button", className: "history-button", onclick: () => showHistoryState(editHistory.undo()) }, "↶");
+    const redoBtn = el("button", { type: "button", className: "history-button", onclick: () => showHistoryState(editHistory.redo()) }, "↷");
+    const historyActions = el("div", { className: "history-actions" }, [undoBtn, redoBtn]);
+
+    function renderHistoryButtons() {
+      const labels = historyLabels();
+      [
+        [undoBtn, labels.undo, editHistory.canUndo()],
+        [redoBtn, labels.redo, editHistory.canRedo()],
+      ].forEach(([btn, label, enabled]) => {
+        btn.title = label;
+        btn.setAttribute("aria-label", label);
+        btn.disabled = !enabled;
+      });
+    }
+
+    // artwork images of the history: a state holds the index of its image here instead of the data: URL,
+    // so recording an edit doesn't serialize the image again
+    let historyImages = [];
+
+    // the open warscroll as a history entry (JSON string)
+    function historyState() {
+      let image = null;
+      if (artwork) {
+        image = historyImages.indexOf(artwork.image);
+        if (image < 0) image = historyImages.push(artwork.image) - 1;
+      }
+      const state = { language: contentLanguage, faction: factionSelect.value, unit, stats, weapons, abilities, keywords, damageTable };
+      return JSON.stringify({ ...state, artwork: artwork && { ...artwork, image } });
+    }
+
+    // the open warscroll was replaced (library, import, shared link): its history starts here
+    function resetHistory() {
+      historyImages = [];
+      editHistory.reset(historyState());
+      renderHistoryButtons();
+    }
+
+    // group: the input element being typed in, null for other edits
+    function recordEdit(group) {
+      if (editHistory.record(historyState(), group)) renderHistoryButtons();
+    }
+
+    function showHistoryState(state) {
+      if (state === null) return;
+      const data = JSON.parse(state);
+      if (data.artwork) data.artwork.image = historyImages[data.artwork.image];
+      applyWarscroll(data);
+      scheduleAutosave();
+    }
+
+    // the points weights editor, the roster panel and the paste text are no warscroll fields: their edits are
+    // no steps of the history and they keep the browser's own undo
+    const isWarscrollField = (target) => target !== weightsInput && !rosterPanel.contains(target) && !pastePanel.contains(target);
+
+    container.addEventListener("input", (e) => isWarscrollField(e.target) && recordEdit(e.target));
+    ["change", "click"].forEach((type) => container.addEventListener(type, (e) => isWarscrollField(e.target) && recordEdit(null)));
+
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || !isWarscrollField(e.target)) return;
+      const key = e.key.toLowerCase();
+      const redo = (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+      if (key !== "z" && !redo) return;
+      e.preventDefault();
+      showHistoryState(redo ? editHistory.redo() : editHistory.undo());
+    });
+
+    // --- library: autosave of the open warscroll plus a panel to open / duplicate / rename / delete ---
+    let currentId = localStorage.getItem(CURRENT_KEY) || null;
+    let lastSavedJson = JSON.stringify(snapshot()); // an untouched new warscroll is not saved
+    let autosaveTimer = null;
+
+    function libraryLabels() {
+      return section("library");
+    }
+
+    function printLabels() {
+      return section("print");
+    }
+
+    function scheduleAutosave() {
+      clearTimeout(autosaveTimer);
+      autosaveTimer = setTimeout(() => autosave().catch((err) => console.error("Autosave failed:", err)), AUTOSAVE_DELAY);
+    }
+
+    // write the open warscroll to the library if it changed since the last save
+    async function autosave() {
+      clearTimeout(autosaveTimer);
+      const data = snapshot();
+      const json = JSON.stringify(data);
+      if (json === lastSavedJson) return;
+      lastSavedJson = json;
+      const meta = await library.save({ id: currentId, name: data.unit.name, faction: data.faction, data: schema.serialize(data, lang) });
+      currentId = meta.id;
+      localStorage.setItem(CURRENT_KEY, currentId);
+      renderLibrary();
+    }
+
+    async function openWarscroll(id) {
+      await autosave();
+      const entry = id ? await library.load(id) : null;
+      currentId = entry ? entry.id : null;
+      if (currentId) localStorage.setItem(CURRENT_KEY, currentId);
+      else localStorage.removeItem(CURRENT_KEY);
+      applyWarscroll(entry ? schema.upgrade(entry.data) : null);
+      lastSavedJson = JSON.stringify(snapshot());
+      resetHistory();
+    }
+
+    async function duplicateWarscroll(id) {
+      await autosave();
+      const entry = await library.load(id);
+      if (!entry) return;
+      const data = schema.upgrade(entry.data);
+      data.unit.name = `${data.unit.name || libraryLabels().unnamed} ${libraryLabels().copySuffix}`;
+      await library.save({ name: data.unit.name, faction: entry.faction, data: schema.serialize(data, lang) });
+      renderLibrary();
+    }
+
+    // the library name is the unit name, so renaming updates the stored warscroll too
+    async function renameWarscroll(id) {
+      await autosave();
+      const entry = await library.load(id);
+      if (!entry) return;
+      const name = window.prompt(libraryLabels().renamePrompt, entry.name);
+      if (name == null) return;
+      const data = schema.upgrade(entry.data);
+      data.unit.name = name.trim();
+      await library.save({ id, name: data.unit.name, faction: entry.faction, data: schema.serialize(data, lang) });
+      if (id === currentId) {
+        applyWarscroll(data);
+        lastSavedJson = JSON.stringify(snapshot());
+        recordEdit(null);
       } else {
-        previewTitle.textContent = `${translations[lang]?.warscrollOf || (lang === "de" ? "Schriftrolle der" : "Warscroll of")} ${f}`;
-        previewContent.querySelector("p").textContent = `Example content for ${f}`;
-        saveBtn.style.display = "block";
+        renderLibrary();
       }
-      // If preview image already sized, re-render overlay to pick up any changes to translation texts or stats
-      if (previewImgSize) {
-        const quarters = translations[lang]?.quarters || {};
-        renderQuarterLabels(previewInner, previewBox, previewImgSize.width, previewImgSize.height, quarters, stats);
+    }
+
+    async function deleteWarscroll(id, name) {
+      const labels = libraryLabels();
+      if (!window.confirm(t("library.deleteConfirm", { name: name || labels.unnamed }))) return;
+      if (id === currentId) {
+        clearTimeout(autosaveTimer);
+        await library.remove(id);
+        await openWarscroll(null);
+      } else {
+        await library.remove(id);
+        renderLibrary();
       }
     }
-    factionSelect.addEventListener("change", updatePreview);
 
-    // initial text
-    rootLabel.textContent = translations[lang]?.chooseFaction || (lang === "de" ? "Fraktion wählen" : "Choose faction");
-    saveBtn.textContent = translations[lang]?.saveAsPng || (lang === "de" ? "Speichern" : "Save");
+    const libraryPanel = el("details", { className: "library-panel" });
+    let libraryRenderId = 0;
+
+    // library ids ticked for printing, and the print sheet settings
+    const printSelection = new Set();
+    let printSettings = { ...window.Warscroll.print.DEFAULT_SETTINGS };
+    try {
+      printSettings = { ...printSettings, ...JSON.parse(localStorage.getItem(PRINT_KEY) || "{}") };
+    } catch (e) {
+      console.warn("Print settings are unreadable, using defaults", e);
+    }
+
+    async function renderLibrary() {
+      const renderId = ++libraryRenderId;
+      const labels = libraryLabels();
+      const entries = await library.list();
+      if (renderId !== libraryRenderId) return; // a newer render is under way
+      const wasOpen = libraryPanel.open;
+      libraryPanel.innerHTML = "";
+      libraryPanel.appendChild(el("summary", {}, `${labels.title} (${entries.length})`));
+      libraryPanel.appendChild(
+        el("button", { type: "button", className: "list-add", onclick: () => openWarscroll(null) }, labels.newWarscroll)
+      );
+      if (!entries.length) {
+        libraryPanel.appendChild(el("p", { className: "placeholder" }, labels.empty));
+      } else {
+        const rows = entries.map((e) =>
+          el("tr", { className: e.id === currentId ? "library-current" : "" }, [
+            el("td", {}, [
+              el("input", {
+                type: "checkbox",
+                checked: printSelection.has(e.id),
+                "aria-label": `${printLabels().select}: ${e.name || labels.unnamed}`,
+                onchange: (ev) => {
+                  if (ev.target.checked) printSelection.add(e.id);
+                  else printSelection.delete(e.id);
+                  renderPrintPanel(entries);
+                },
+              }),
+            ]),
+            el("td", {}, e.name || labels.unnamed),
+            el("td", {}, factionName(e.faction) || "-"),
+            el("td", {}, new Date(e.modified).toLocaleString(lang)),
+            el("td", { className: "library-actions" }, [
+              el("button", { type: "button", onclick: () => openWarscroll(e.id) }, labels.open),
+              el("button", { type: "button", onclick: () => duplicateWarscroll(e.id) }, labels.duplicate),
+              el("button", { type: "button", onclick: () => renameWarscroll(e.id) }, labels.rename),
+              el("button", { type: "button", onclick: () => deleteWarscroll(e.id, e.name) }, labels.remove),
+            ]),
+          ])
+        );
+        libraryPanel.appendChild(
+          el("table", { className: "library-table" }, [
+            el("thead", {}, el("tr", {}, [printLabels().select, labels.name, labels.faction, labels.modified, ""].map((h) => el("th", {}, h)))),
+            el("tbody", {}, rows),
+          ])
+        );
+        libraryPanel.appendChild(printPanel);
+        renderPrintPanel(entries);
+      }
+      libraryPanel.open = wasOpen;
+      renderRoster();
+    }
+
+    // print sheet settings and the button that builds one PDF from the ticked warscrolls
+    const printPanel = el("fieldset", { className: "print-panel" });
+
+    function renderPrintPanel(entries) {
+      const labels = printLabels();
+      // forget entries that were deleted meanwhile
+      [...printSelection].forEach((id) => entries.some((e) => e.id === id) || printSelection.delete(id));
+      const setting = (key, value) => {
+        printSettings[key] = value;
+        localStorage.setItem(PRINT_KEY, JSON.stringify(printSettings));
+      };
+      const options = (values, names, current) =>
+        Object.keys(values).map((v) => el("option", { value: v, selected: String(current) === v ? "selected" : null }, names[v]));
+      printPanel.innerHTML = "";
+      printPanel.appendChild(el("legend", {}, labels.title));
+      printPanel.appendChild(
+        el("label", {}, [
+          labels.paper,
+          el("select", { onchange: (e) => setting("paper", e.target.value) }, options(window.Warscroll.print.PAPER, labels.papers, printSettings.paper)),
+        ])
+      );
+      printPanel.appendChild(
+        el("label", {}, [
+          labels.perPage,
+          el(
+            "select",
+            { onchange: (e) => setting("perPage", Number(e.target.value)) },
+            options(window.Warscroll.print.PER_PAGE, labels.perPageOptions, printSettings.perPage)
+          ),
+        ])
+      );
+      printPanel.appendChild(
+        el("label", {}, [
+          labels.bleed,
+          el("input", {
+            type: "number",
+            min: "0",
+            max: "10",
+            step: "0.5",
+            value: printSettings.bleed,
+            onchange: (e) => setting("bleed", Math.min(10, Math.max(0, Number(e.target.value) || 0))),
+          }),
+        ])
+      );
+      printPanel.appendChild(
+        el("label", {}, [
+          el("input", { type: "checkbox", checked: printSettings.cropMarks, onchange: (e) => setting("cropMarks", e.target.checked) }),
+          labels.cropMarks,
+        ])
+      );
+      const createBtn = el(
+        "button",
+        { type: "button", className: "secondary-button", disabled: printSelection.size ? null : "disabled", onclick: () => createPrintSheets(entries) },
+        t("print.create", { count: printSelection.size })
+      );
+      printPanel.appendChild(createBtn);
+      if (!printSelection.size) printPanel.appendChild(el("p", { className: "placeholder" }, labels.hint));
+    }
+
+    async function createPrintSheets(entries) {
+      await autosave();
+      const ids = entries.map((e) => e.id).filter((id) => printSelection.has(id));
+      const loaded = await Promise.all(ids.map((id) => library.load(id)));
+      const warscrolls = await Promise.all(
+        loaded.filter(Boolean).map(async (entry) => {
+          const data = printable(schema.upgrade(entry.data));
+          return { data, ...(await exportAssets(data)) };
+        })
+      );
+      if (!warscrolls.length) return;
+      const blob = window.Warscroll.print.createPrintPdf(warscrolls, printSettings, {
+        width: sheetSize.width,
+        height: sheetSize.height,
+        layoutOptions,
+      });
+      downloadBlob(blob, "warscrolls-print.pdf");
+    }
+
+    // --- army rosters: library warscrolls grouped into regiments, checked against the list-building rules ---
+    function rosterLabels() {
+      return section("roster");
+    }
+
+    function readRosters() {
+      try {
+        const list = JSON.parse(localStorage.getItem(ROSTERS_KEY) || "[]");
+        return Array.isArray(list) ? list.map(rosters.normalizeRoster) : [];
+      } catch (e) {
+        console.warn("Rosters are unreadable, starting empty", e);
+        return [];
+      }
+    }
+
+    let rosterList = readRosters();
+    let currentRosterId = localStorage.getItem(CURRENT_ROSTER_KEY);
+
+    const activeRoster = () => rosterList.find((r) => r.id === currentRosterId) || rosterList[0] || null;
+
+    // store the rosters and show the change
+    function rostersChanged() {
+      localStorage.setItem(ROSTERS_KEY, JSON.stringify(rosterList));
+      const active = activeRoster();
+      if (active) localStorage.setItem(CURRENT_ROSTER_KEY, active.id);
+      else localStorage.removeItem(CURRENT_ROSTER_KEY);
+      renderRoster();
+    }
+
+    function newRoster() {
+      const r = rosters.createRoster();
+      r.faction = factionSelect.value; // most likely the army of the warscroll being edited
+      rosterList.push(r);
+      currentRosterId = r.id;
+      rostersChanged();
+    }
+
+    function deleteRoster(r) {
+      if (!window.confirm(t("roster.deleteConfirm", { name: r.name || rosterLabels().unnamed }))) return;
+      rosterList = rosterList.filter((other) => other !== r);
+      currentRosterId = null;
+      rostersChanged();
+    }
+
+    // rules info per library id (roster.unitInfo), reloaded only for entries modified since
+    const rosterInfoCache = new Map();
+    async function rosterEntries() {
+      const entries = await library.list();
+      const infos = {};
+      await Promise.all(
+        entries.map(async (e) => {
+          const cached = rosterInfoCache.get(e.id);
+          if (cached && cached.modified === e.modified) return (infos[e.id] = cached.info);
+          const entry = await library.load(e.id).catch(() => null);
+          if (!entry) return;
+          const keywords = { hero: i18n.all("roster.keywords.hero"), unique: i18n.all("roster.keywords.unique") };
+          const info = { ...rosters.unitInfo(schema.upgrade(entry.data), keywords), name: e.name };
+          rosterInfoCache.set(e.id, { modified: e.modified, info });
+          infos[e.id] = info;
+        })
+      );
+      return { entries, infos };
+    }
+
+    // "Ironclad (120 pts)" as offered in the hero and unit pickers
+    function rosterEntryName(info) {
+      const name = info.name || libraryLabels().unnamed;
+      return info.points === null ? name : `${name} (${info.points} ${rosterLabels().pointsShort})`;
+    }
+
+    function rosterIssueText(issue) {
+      const text = t(`roster.issues.${issue.code}`, issue.params);
+      return issue.params.regiment ? `${t("roster.regiment", { number: issue.params.regiment })}: ${text}` : text;
+    }
+
+    const rosterPanel = el("details", { className: "roster-panel" });
+    let rosterRenderId = 0;
+
+    async function renderRoster() {
+      const renderId = ++rosterRenderId;
+      const { entries, infos } = await rosterEntries();
+      if (renderId !== rosterRenderId) return; // a newer render is under way
+      const labels = rosterLabels();
+      const wasOpen = rosterPanel.open;
+      const r = activeRoster();
+      rosterPanel.innerHTML = "";
+      rosterPanel.appendChild(el("summary", {}, `${labels.title} (${rosterList.length})`));
+
+      const head = el("div", { className: "roster-row" });
+      if (rosterList.length) {
+        head.appendChild(
+          el(
+            "select",
+            {
+              "aria-label": labels.title,
+              onchange: (e) => {
+                currentRosterId = e.target.value;
+                rostersChanged();
+              },
+            },
+            rosterList.map((other) => el("option", { value: other.id, selected: other === r ? "selected" : null }, other.name || labels.unnamed))
+          )
+        );
+      }
+      head.appendChild(el("button", { type: "button", className: "list-add", onclick: newRoster }, labels.newRoster));
+      if (r) head.appendChild(el("button", { type: "button", onclick: () => deleteRoster(r) }, labels.remove));
+      rosterPanel.appendChild(head);
+      rosterPanel.open = wasOpen;
+      if (!r) {
+        rosterPanel.appendChild(el("p", { className: "placeholder" }, labels.empty));
+        return;
+      }
+
+      const update = (fn) => (e) => {
+        fn(e.target.value, e);
+        rostersChanged();
+      };
+      const factionPick = el("select", { onchange: update((v) => (r.faction = v)) });
+      fillFactionOptions(factionPick, r.faction);
+      rosterPanel.appendChild(
+        el("div", { className: "roster-row" }, [
+          el("label", {}, [
+            labels.name,
+            el("input", {
+              type: "text",
+              value: r.name,
+              // the name is stored while typing, the roster select follows once the field is left
+              oninput: (e) => {
+                r.name = e.target.value;
+                localStorage.setItem(ROSTERS_KEY, JSON.stringify(rosterList));
+              },
+              onchange: update(() => {}),
+            }),
+          ]),
+          el("label", {}, [labels.faction, factionPick]),
+          el("label", {}, [
+            labels.limit,
+            el(
+              "select",
+              { onchange: update((v) => (r.pointsLimit = Number(v))) },
+              rosters.POINTS_LIMITS.map((p) => el("option", { value: p, selected: p === r.pointsLimit ? "selected" : null }, `${p} ${labels.pointsShort}`))
+            ),
+          ]),
+        ])
+      );
+
+      // only warscrolls of the roster's faction can be picked
+      const candidates = entries.filter((e) => infos[e.id] && r.faction && infos[e.id].faction === r.faction);
+      if (!r.faction) rosterPanel.appendChild(el("p", { className: "placeholder" }, labels.chooseFaction));
+      else if (!candidates.length) rosterPanel.appendChild(el("p", { className: "placeholder" }, labels.noWarscrolls));
+
+      const result = rosters.checkRoster(r, infos);
+      const entryName = (id) => (infos[id] ? rosterEntryName(infos[id]) : labels.missing);
+      const picker = (current, list, emptyLabel, onPick) => {
+        const options = list.map((e) => el("option", { value: e.id }, rosterEntryName(infos[e.id])));
+        // keep a pick that no longer qualifies visible, so its violation can be seen and fixed
+        if (current && !list.some((e) => e.id === current)) options.unshift(el("option", { value: current }, entryName(current)));
+        const select = el("select", { onchange: update(onPick) }, [el("option", { value: "" }, emptyLabel), ...options]);
+        select.value = current || "";
+        return select;
+      };
+
+      const generalRegiment = r.regiments[r.general];
+      r.regiments.forEach((g, idx) => {
+        const general = idx === r.general;
+        const box = el("fieldset", { className: `roster-regiment${general ? " roster-general" : ""}` });
+        box.appendChild(el("legend", {}, `${t("roster.regiment", { number: idx + 1 })} · ${result.regiments[idx]} ${labels.pointsShort}`));
+        box.appendChild(
+          el("div", { className: "roster-row" }, [
+            el("label", {}, [
+              labels.hero,
+              picker(g.hero, candidates.filter((e) => infos[e.id].hero), labels.pickHero, (v) => (g.hero = v || null)),
+            ]),
+            el("label", {}, [
+              el("input", {
+                type: "radio",
+                name: "roster-general",
+                checked: general,
+                onchange: update(() => (r.general = idx)),
+              }),
+              labels.general,
+            ]),
+            // the general stays with its regiment when regiments are moved or removed
+            makeRowActions(r.regiments, idx, () => {
+              r.general = Math.max(0, r.regiments.indexOf(generalRegiment));
+              rostersChanged();
+            }),
+          ])
+        );
+        const units = el("ul", { className: "roster-units" });
+        g.units.forEach((id, n) => units.appendChild(el("li", {}, [el("span", {}, entryName(id)), makeRowActions(g.units, n, rostersChanged)])));
+        box.appendChild(units);
+        box.appendChild(picker(null, candidates, labels.addUnit, (v) => v && g.units.push(v)));
+        rosterPanel.appendChild(box);
+      });
+      rosterPanel.appendChild(
+        el(
+          "button",
+          {
+            type: "button",
+            className: "list-add",
+            onclick: () => {
+              r.regiments.push(rosters.createRegiment());
+              rostersChanged();
+            },
+          },
+          labels.addRegiment
+        )
+      );
+
+      const over = result.total > r.pointsLimit;
+      rosterPanel.appendChild(
+        el("p", { className: `roster-total${over ? " over" : ""}` }, t("roster.total", { total: result.total, limit: r.pointsLimit }))
+      );
+      if (result.issues.length) {
+        rosterPanel.appendChild(
+          el("ul", { className: "roster-issues" }, result.issues.map((issue) => el("li", { className: issue.level }, rosterIssueText(issue))))
+        );
+      } else if (rosters.rosterIds(r).length) {
+        rosterPanel.appendChild(el("p", { className: "roster-valid" }, labels.valid));
+      }
+      rosterPanel.appendChild(
+        el(
+          "button",
+          {
+            type: "button",
+            className: "secondary-button",
+            disabled: rosters.rosterIds(r).length ? null : "disabled",
+            onclick: () => printRoster(r, infos, result),
+          },
+          labels.print
+        )
+      );
+    }
+
+    // summary page(s) followed by every warscroll of the roster, laid out with the print sheet settings
+    async function printRoster(r, infos, result) {
+      await autosave();
+      const labels = rosterLabels();
+      const points = (value) => `${value} ${labels.pointsShort}`;
+      const lines = [];
+      r.regiments.forEach((g, idx) => {
+        const heading = t("roster.regiment", { number: idx + 1 }) + (idx === r.general ? ` (${labels.general})` : "");
+        lines.push({ text: heading, value: points(result.regiments[idx]), style: "heading" });
+        [g.hero, ...g.units].forEach((id) => {
+          if (!id || !infos[id]) return;
+          const info = infos[id];
+          lines.push({ text: info.name || libraryLabels().unnamed, value: info.points === null ? "-" : points(info.points), style: "item" });
+        });
+      });
+      if (result.issues.length) {
+        lines.push({ text: labels.issuesTitle, style: "heading" });
+        result.issues.forEach((issue) => lines.push({ text: rosterIssueText(issue), style: "note" }));
+      }
+      const summary = {
+        title: r.name || labels.unnamed,
+        subtitle: [factionName(r.faction), t("roster.total", { total: result.total, limit: r.pointsLimit })].filter(Boolean).join(" · "),
+        lines,
+      };
+      const loaded = await Promise.all(rosters.rosterIds(r).map((id) => library.load(id).catch(() => null)));
+      const warscrolls = await Promise.all(
+        loaded.filter(Boolean).map(async (entry) => {
+          const data = printable(schema.upgrade(entry.data));
+          return { data, ...(await exportAssets(data)) };
+        })
+      );
+      const blob = window.Warscroll.print.createRosterPdf(summary, warscrolls, printSettings, {
+        width: sheetSize.width,
+        height: sheetSize.height,
+        layoutOptions,
+      });
+      downloadBlob(blob, `${fileSlug(r.name || "roster")}.pdf`);
+    }
+
+    // --- JSON export / import (versioned file format, see app/js/schema.js) ---
+    function fileLabels() {
+      return section("jsonFile");
+    }
+
+    // "must be between 1 and 6" for a validation error ({ code, params }) of an imported file or an editor field
+    function validationMessage(error) {
+      const template = fileLabels().errors?.[error.code];
+      return template ? i18n.format(template, error.params) : error.code;
+    }
+
+    // "weapons.melee[0].hit: must be between 1 and 6" from a schema error
+    function formatFileError(error) {
+      const message = validationMessage(error);
+      return error.path ? `${error.path}: ${message}` : message;
+    }
+
+    const fileErrors = el("div", { className: "file-errors hidden", role: "alert" });
+
+    function showFileErrors(errors, title = fileLabels().errorsTitle) {
+      fileErrors.innerHTML = "";
+      fileErrors.classList.remove("notice");
+      fileErrors.classList.toggle("hidden", !errors.length);
+      if (!errors.length) return;
+      fileErrors.appendChild(el("strong", {}, title));
+      fileErrors.appendChild(el("ul", {}, errors.map((e) => el("li", {}, formatFileError(e)))));
+    }
+
+    // a note about a file that was read without errors (it was upgraded), in the same place as the errors
+    function showFileNotice(message) {
+      fileErrors.innerHTML = "";
+      fileErrors.classList.add("notice");
+      fileErrors.classList.remove("hidden");
+      fileErrors.appendChild(el("p", {}, message));
+    }
+
+    const exportJsonBtn = el("button", { type: "button", className: "secondary-button" }, "");
+    exportJsonBtn.addEventListener("click", () => {
+      const doc = schema.serialize(snapshot(), lang);
+      downloadBlob(new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" }), `${fileSlug(unit.name)}.json`);
+    });
+
+    const importInput = el("input", { type: "file", accept: ".json,application/json", className: "hidden" });
+    const importJsonBtn = el("button", { type: "button", className: "secondary-button", onclick: () => importInput.click() }, "");
+    importInput.addEventListener("change", async () => {
+      const file = importInput.files && importInput.files[0];
+      importInput.value = "";
+      if (!file) return;
+      const result = schema.parse(await file.text());
+      showFileErrors(result.errors);
+      if (!result.data) return;
+      // an imported warscroll becomes a new library entry
+      await autosave();
+      currentId = null;
+      localStorage.removeItem(CURRENT_KEY);
+      applyWarscroll(result.data);
+      resetHistory();
+      lastSavedJson = null;
+      await autosave();
+      if (result.migratedFrom !== null && result.migratedFrom !== undefined) {
+        showFileNotice(t("jsonFile.migrated", { from: result.migratedFrom, to: schema.CURRENT_VERSION }));
+      }
+    });
+
+    // --- paste text: a warscroll read from plain text (app/js/paste.js), reviewed before it is opened ---
+    const pasteBtn = el("button", { type: "button", className: "secondary-button", onclick: () => togglePastePanel() }, "");
+    const pasteInput = el("textarea", { className: "paste-input", rows: 12, spellcheck: "false" });
+    const pasteHint = el("p", { className: "placeholder" });
+    const pasteReview = el("div", { className: "paste-review" });
+    const pasteActions = el("div", { className: "paste-actions" });
+    // the text area stays in place while the review below it is redrawn on every keystroke
+    const pastePanel = el("div", { className: "paste-panel hidden" }, [pasteHint, pasteInput, pasteReview, pasteActions]);
+    let pasteResult = null; // last parse of the text
+    let pasteReviewed = false; // unmapped lines were looked at
+
+    // one vocabulary per language: a warscroll may be pasted in any language, not only the selected one
+    function pasteVocabularies() {
+      const keys = ["quarters", "weapons", "timings", "usages", "abilities", "keywords", "unit", "factions", "keywordVocabulary"];
+      return i18n.languages().map(({ code }) => {
+        const labels = {};
+        keys.forEach((key) => (labels[key] = i18n.get(key, code)));
+        return window.Warscroll.paste.createVocabulary(code, labels);
+      });
+    }
+
+    // "Melee Weapons 2", "Ability 1: Effect" for a field path of a parsed line
+    function pasteFieldLabel(field) {
+      const m = /^(\w+)(?:\.(\w+))?(?:\[(\d+)\])?(?:\.(\w+))?$/.exec(field) || [];
+      const [, part, sub, idx, key] = m;
+      const number = idx === undefined ? "" : ` ${Number(idx) + 1}`;
+      if (part === "unit") return sub ? section("unit")[sub] : section("unit").title;
+      if (part === "weapons") return section("weapons")[sub] + number;
+      if (part === "abilities") return `${section("abilities").title}${number}: ${section("abilities")[key]}`;
+      if (part === "keywords") return section("keywords")[sub];
+      return section("paste")[part] || field;
+    }
+
+    function togglePastePanel(open = pastePanel.classList.contains("hidden")) {
+      pastePanel.classList.toggle("hidden", !open);
+      if (!open) return;
+      pasteInput.focus();
+    }
+
+    function parsePaste() {
+      pasteResult = pasteInput.value.trim() ? window.Warscroll.paste.parse(pasteInput.value, pasteVocabularies()) : null;
+      pasteReviewed = false;
+      renderPastePanel();
+    }
+    pasteInput.addEventListener("input", parsePaste);
+
+    function renderPastePanel() {
+      const labels = section("paste");
+      pasteBtn.textContent = labels.button;
+      pasteInput.placeholder = labels.placeholder;
+      pasteHint.textContent = labels.hint;
+      pasteReview.innerHTML = "";
+      const lines = pasteResult ? pasteResult.lines : [];
+      const unmapped = lines.filter((l) => !l.field).length;
+      if (lines.length) {
+        const language = i18n.languages().find((l) => l.code === pasteResult.language);
+        pasteReview.appendChild(
+          el("p", { className: unmapped ? "paste-summary unmapped" : "paste-summary" }, [
+            t("paste.summary", { count: lines.length - unmapped, language: language ? language.name : pasteResult.language }),
+            " ",
+            t("paste.unmapped", { count: unmapped }),
+          ])
+        );
+        pasteReview.appendChild(
+          el(
+            "ol",
+            { className: "paste-lines" },
+            lines.map((l) =>
+              el("li", { className: l.field ? "" : "unmapped" }, [
+                el("span", { className: "paste-field" }, l.field ? pasteFieldLabel(l.field) : labels.unmappedLine),
+                el("span", { className: "paste-text" }, l.text),
+              ])
+            )
+          )
+        );
+      }
+      // with unmapped lines left the user confirms having looked at them (they are dropped)
+      const reviewed = el("input", {
+        type: "checkbox",
+        checked: pasteReviewed ? "checked" : null,
+        onchange: (e) => {
+          pasteReviewed = e.target.checked;
+          acceptBtn.disabled = !pasteReviewed;
+        },
+      });
+      const acceptBtn = el("button", { type: "button", className: "secondary-button", onclick: acceptPaste }, labels.accept);
+      acceptBtn.disabled = !lines.length || lines.length === unmapped || (unmapped > 0 && !pasteReviewed);
+      const cancelBtn = el("button", { type: "button", className: "secondary-button", onclick: cancelPaste }, labels.cancel);
+      pasteActions.innerHTML = "";
+      if (unmapped && lines.length > unmapped) pasteActions.appendChild(el("label", { className: "paste-confirm" }, [reviewed, " ", labels.confirm]));
+      pasteActions.appendChild(acceptBtn);
+      pasteActions.appendChild(cancelBtn);
+    }
+
+    function cancelPaste() {
+      pasteInput.value = "";
+      parsePaste();
+      togglePastePanel(false);
+    }
+
+    // the parsed warscroll becomes a new library entry, like an imported file
+    async function acceptPaste() {
+      if (!pasteResult) return;
+      const { data } = pasteResult;
+      cancelPaste();
+      await autosave();
+      currentId = null;
+      localStorage.removeItem(CURRENT_KEY);
+      applyWarscroll(data);
+      resetHistory();
+      lastSavedJson = null;
+      await autosave();
+    }
+
+    // --- share link: the whole warscroll in the URL fragment (app/js/share.js) ---
+    const copyLinkBtn = el("button", { type: "button", className: "secondary-button" }, "");
+    copyLinkBtn.addEventListener("click", async () => {
+      const labels = fileLabels();
+      // the artwork would make the link too long to paste anywhere, so links go without it
+      const doc = schema.serialize({ ...snapshot(), artwork: null }, lang);
+      const url = `${location.origin}${location.pathname}${location.search}#${await share.encode(doc)}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        copyLinkBtn.textContent = labels.linkCopied;
+        setTimeout(renderFileButtons, 2000);
+      } catch (_) {
+        // no clipboard access (insecure context, denied permission): let the user copy it
+        window.prompt(labels.linkPrompt, url);
+      }
+    });
+
+    // open the warscroll of a shared link as a new library entry, in the link's language; the fragment is
+    // removed so that a reload reopens the library entry. Returns whether a warscroll was opened.
+    async function openSharedLink(result) {
+      if (!result.data && !result.errors.length) return false;
+      history.replaceState(null, "", location.pathname + location.search);
+      showFileErrors(result.errors, fileLabels().linkErrorsTitle);
+      if (!result.data) return false;
+      await autosave();
+      currentId = null;
+      localStorage.removeItem(CURRENT_KEY);
+      if (i18n.has(result.language) && result.language !== lang) switchLanguage(result.language);
+      applyWarscroll(result.data);
+      resetHistory();
+      lastSavedJson = null;
+      await autosave();
+      return true;
+    }
+
+    // a link pasted into the address bar of an open app only changes the fragment
+    window.addEventListener("hashchange", async () => {
+      await openSharedLink(await readSharedLink());
+    });
+
+    function renderFileButtons() {
+      const labels = fileLabels();
+      exportJsonBtn.textContent = labels.exportJson;
+      importJsonBtn.textContent = labels.importJson;
+      renderPastePanel();
+      copyLinkBtn.textContent = labels.copyLink;
+    }
+    renderFileButtons();
+
+    // any edit inside the app schedules an autosave; unchanged content is not written
+    ["input", "change", "click", "keyup"].forEach((type) => container.addEventListener(type, scheduleAutosave));
+    window.addEventListener("pagehide", () => {
+      autosave().catch(() => {});
+    });
 
     // assemble elements: top row has language switch + faction + stat inputs
     const topRow = el("div", { style: "display:flex;align-items:center;gap:1rem;margin-bottom:1rem;flex-wrap:wrap" }, [
       langSwitch,
+      historyActions,
       rootLabel,
       factionSelect,
       statControls,
     ]);
+    container.appendChild(libraryPanel);
+    container.appendChild(rosterPanel);
     container.appendChild(topRow);
+    container.appendChild(contentStatus);
+    container.appendChild(unitEditor);
+    container.appendChild(artworkEditor);
+    container.appendChild(pointsPanel);
+    container.appendChild(weaponEditor);
+    container.appendChild(damageTableEditor);
+    container.appendChild(abilityEditor);
+    container.appendChild(keywordEditor);
     container.appendChild(previewWrap);
-    container.appendChild(saveBtn);
-
-    ROOT.appendChild(container);
+    container.appendChild(el("div", { className: "export-actions" }, [saveBtn, saveSvgBtn, savePdfBtn, ...copyTextBtns, exportJsonBtn, importJsonBtn, importInput, pasteBtn, copyLinkBtn]));
+    container.appendChild(pastePanel);
+    container.appendChild(fileErrors);
+
+    // the sheet template chosen last time
+    const templateId = localStorage.getItem(TEMPLATE_KEY);
+    if (templateId) activeTemplate = await templates.load(templateId).catch(() => null);
+    renderLayoutPanel();
+    renderTemplatePanel();
+
+    // a shared link opens its warscroll (or says why it can't); otherwise reopen the warscroll that was open
+    // last time. Both happen before the app is attached, so the first preview shown is the restored one.
+    const openedLink = await openSharedLink(sharedLink);
+    const lastEntry = !openedLink && currentId ? await library.load(currentId).catch(() => null) : null;
+    if (lastEntry) {
+      applyWarscroll(schema.upgrade(lastEntry.data));
+      lastSavedJson = JSON.stringify(snapshot());
+    } else if (!openedLink) {
+      currentId = null;
+      renderLibrary();
+    }
 
-    // Once the background image is loaded, size the previewBox to the image natural dimensions
-    bgLoadPromise.then((img) => {
-      if (img && img.naturalWidth && img.naturalHeight) {
-        previewImgSize = { width: img.naturalWidth, height: img.naturalHeight };
-        // set preview box to image natural size (CSS pixels)
-        previewBox.style.width = img.naturalWidth + "px";
-        previewBox.style.height = img.naturalHeight + "px";
-        // ensure the CSS background fits exactly the box
-        previewBox.style.backgroundSize = `${img.naturalWidth}px ${img.naturalHeight}px`;
-        // allow previewInner to fill the box
-        previewInner.style.height = "100%";
-        // Re-run update to ensure preview text is visible
-        updatePreview();
-
-        // render quarter labels using strings from translations[lang].quarters and show any stats
-        const quarters = translations[lang]?.quarters || {};
-        renderQuarterLabels(previewInner, previewBox, img.naturalWidth, img.naturalHeight, quarters, stats);
-      } else {
-        // fallback: keep previous sizing (max-width) and update preview
-        updatePreview();
-      }
-    }).catch(() => {
-      // image failed to load; keep fallback size
-      updatePreview();
-    });
+    resetHistory();
 
     // set initial preview state
     updatePreview();
-  }
+    ROOT.appendChild(container);
 
-  // convenience translator (safe fallback)
-  function t(key) {
-    return key;
+    // redraw with the shipped fonts once they are available (text is measured with them)
+    loadFonts().then(updatePreview);
   }
 
   bootstrap().catch((err) => console.error("Failed to start app:", err));